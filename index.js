@@ -1,15 +1,18 @@
 require('dotenv').config();
 
 const express = require('express');
+const http = require('http');
 const path = require('path');
 const cors = require('cors');
 const zlib = require('zlib');
 const StartupValidator = require('./src/validators/startupValidator');
+const configs = require('./src/config/configs');
 
 const app = express();
 const port = process.env.PORT || 3338;
 const routes = require('./src/routes');
 const debugMiddleware = require('./src/middlewares/debugMiddleware');
+const WsProxy = require('./src/controllers/wsProxyController');
 
 const CLIENT_PUBLIC_URL = process.env.CLIENT_PUBLIC_URL || 'http://localhost:8000';
 
@@ -28,6 +31,12 @@ function compressionMiddleware(req, res, next) {
     const contentType = res.get('Content-Type') || '';
     const isCompressible = /text|json|javascript|xml|html/.test(contentType);
 
+    // Partial content must stay in its identity encoding (Content-Range offsets),
+    // and GRF entries may already be sent as their stored zlib data
+    if (res.statusCode === 206 || res.get('Content-Encoding')) {
+      return originalSend(body);
+    }
+
     if (!isCompressible || !body || body.length < 1024) {
       return originalSend(body);
     }
@@ -100,6 +109,7 @@ async function startServer() {
       missingFiles: missingInfo,
       cache: cacheStats,
       index: indexStats,
+      proxy: WsProxy.getStats(),
     });
   });
 
@@ -122,9 +132,17 @@ async function startServer() {
   // API routes
   app.use('/', routes);
 
-  app.listen(port, () => {
+  const server = http.createServer(app);
+
+  // WebSocket → TCP game proxy (optional, see WSPROXY_* in src/config/configs.js)
+  const proxyEnabled = WsProxy.attach(server);
+
+  server.listen(port, () => {
     console.log('\n✅ Server started successfully!');
     console.log(`🌐 URL: http://localhost:${port}`);
+    if (proxyEnabled) {
+      console.log(`🔌 WebSocket proxy: ws://localhost:${port}${configs.WSPROXY_PATH}/<host>:<port>`);
+    }
     console.log(`📊 Status: http://localhost:${port}/api/health\n`);
   });
 }
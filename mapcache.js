@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Map cache command - Build rAthena's map_cache.dat from the served GRFs
+ *
+ * Reads the maps listed in a maps_athena.conf style file (following "import:" lines),
+ * or every data/<map>.gat in the GRFs, and writes a map_cache.dat the emulator can load.
+ *
+ * Usage:
+ *   npm run mapcache                                     # Every .gat → ./map_cache.dat
+ *   npm run mapcache -- --maps conf/maps_athena.conf     # Only the listed maps
+ *   npm run mapcache -- --out ../rathena/db/map_cache.dat
+ *   npm run mapcache -- --diff ../rathena/db/map_cache.dat  # Report outdated maps, write nothing
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { MAP_NAME_LENGTH, buildMapCache, parseMapCache, parseMapList } = require('./src/utils/mapCacheUtils');
+
+const args = process.argv.slice(2);
+
+function getOption(name, defaultValue = null) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+}
+
+const mapsFile = getOption('--maps');
+const diffFile = getOption('--diff');
+const outFile = path.resolve(getOption('--out', path.join(__dirname, 'map_cache.dat')));
+
+/**
+ * Read a maps_athena.conf style file and its imports
+ */
+function readMapList(file, seen = new Set()) {
+  const fullPath = path.resolve(file);
+  if (seen.has(fullPath)) return [];
+  seen.add(fullPath);
+
+  const { maps, imports } = parseMapList(fs.readFileSync(fullPath, 'utf-8'));
+
+  for (const importFile of imports) {
+    // rAthena resolves imports from its root, try that and the file's directory
+    const candidates = [path.resolve(importFile), path.resolve(path.dirname(fullPath), '..', importFile), path.resolve(path.dirname(fullPath), importFile)];
+    const found = candidates.find(candidate => fs.existsSync(candidate));
+    if (found) {
+      maps.push(...readMapList(found, seen));
+    } else {
+      console.log(` ⚠ Import not found: ${importFile}`);
+    }
+  }
+
+  return maps;
+}
+
+async function main() {
+  const Client = require('./src/controllers/clientController');
+  const Maps = require('./src/controllers/mapController');
+
+  await Client.init();
+
+  // Map list: conf file or every data/<map>.gat
+  let mapNames;
+  if (mapsFile) {
+    mapNames = readMapList(mapsFile);
+    console.log(`Read ${mapNames.length} maps from ${mapsFile}`);
+  } else {
+    mapNames = Client.listFiles()
+      .map(file => file.replace(/\\/g, '/').match(/^data\/([^/]+)\.gat$/i))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort();
+    console.log(`Found ${mapNames.length} .gat files`);
+  }
+
+  const entries = [];
+  const failed = [];
+  for (const name of Array.from(new Set(mapNames))) {
+    const mapName = Maps.normalizeName(name);
+    if (!mapName || mapName.length >= MAP_NAME_LENGTH) {
+      console.log(` ✗ ${name}: invalid map name (max ${MAP_NAME_LENGTH - 1} characters)`);
+      failed.push(name);
+      continue;
+    }
+
+    try {
+      const entry = await Maps.getMapCacheEntry(mapName);
+      if (!entry) {
+        console.log(` ✗ ${mapName}: .gat not found`);
+        failed.push(mapName);
+        continue;
+      }
+      entries.push(entry);
+    } catch (error) {
+      console.log(` ✗ ${mapName}: ${error.message}`);
+      failed.push(mapName);
+    }
+  }
+
+  if (diffFile) {
+    process.exit(printDiff(entries, parseMapCache(fs.readFileSync(diffFile))) ? 0 : 1);
+  }
+
+  fs.writeFileSync(outFile, buildMapCache(entries));
+  console.log(`\nWrote ${entries.length} maps to ${outFile}${failed.length ? ` (${failed.length} failed)` : ''}`);
+  process.exit(failed.length ? 1 : 0);
+}
+
+/**
+ * Compare the maps built from the GRFs with an existing map cache
+ * @returns {boolean} - true if the cache is up to date
+ */
+function printDiff(entries, cached) {
+  const cachedByName = new Map(cached.map(map => [map.name, map]));
+  const added = [];
+  const changed = [];
+
+  for (const entry of entries) {
+    const old = cachedByName.get(entry.name);
+    if (!old) {
+      added.push(entry.name);
+    } else if (old.xs !== entry.xs || old.ys !== entry.ys || !old.cells.equals(entry.cells)) {
+      changed.push(entry.name);
+    }
+    cachedByName.delete(entry.name);
+  }
+  const removed = Array.from(cachedByName.keys());
+
+  console.log(`\nCompared ${entries.length} maps with ${diffFile} (${cached.length} cached)`);
+  added.forEach(name => console.log(` + ${name}: not in cache`));
+  changed.forEach(name => console.log(` ~ ${name}: outdated`));
+  removed.forEach(name => console.log(` - ${name}: in cache only`));
+
+  const upToDate = added.length === 0 && changed.length === 0 && removed.length === 0;
+  console.log(upToDate ? '\n✅ Map cache is up to date' : `\n⚠ ${added.length} new, ${changed.length} outdated, ${removed.length} only in cache`);
+  return upToDate;
+}
+
+main().catch((error) => {
+  console.error('\n❌ Fatal error:', error);
+  process.exit(1);
+});
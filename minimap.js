@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Minimap command - Render minimaps from .gat files
+ *
+ * Generates PNG minimaps (same renderer as /api/map/:name/minimap) for maps
+ * that ship without data/texture/유저인터페이스/map/<map>.bmp.
+ *
+ * Usage:
+ *   npm run minimap -- prontera izlude        # Render the given maps
+ *   npm run minimap -- --missing              # Render every map without a minimap BMP
+ *   npm run minimap -- --missing --out ./out  # Output directory (default: ./minimaps)
+ *   npm run minimap -- prontera --size 1024   # Longest side in pixels (default: 512)
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const missingMode = args.includes('--missing');
+
+function getOption(name, defaultValue) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+}
+
+const outDir = path.resolve(getOption('--out', path.join(__dirname, 'minimaps')));
+const size = parseInt(getOption('--size', '512')) || 512;
+const mapArgs = args.filter((arg, i) => !arg.startsWith('--') && !['--out', '--size'].includes(args[i - 1]));
+
+async function main() {
+  if (!missingMode && mapArgs.length === 0) {
+    console.log('Usage: npm run minimap -- <map...> | --missing [--out <dir>] [--size <px>]');
+    process.exit(1);
+  }
+
+  const Client = require('./src/controllers/clientController');
+  const Maps = require('./src/controllers/mapController');
+  const { resolveLocalPath } = require('./src/utils/pathSandbox');
+
+  await Client.init();
+
+  let mapNames = mapArgs.map(name => Maps.normalizeName(name)).filter(Boolean);
+
+  if (missingMode) {
+    // Every data/<map>.gat whose minimap isn't in a GRF nor on disk
+    const gatNames = Client.listFiles()
+      .map(file => file.replace(/\\/g, '/').match(/^data\/([^/]+)\.gat$/i))
+      .filter(Boolean)
+      .map(match => Maps.normalizeName(match[1]))
+      .filter(Boolean);
+
+    mapNames = Array.from(new Set(gatNames)).filter(mapName => {
+      const minimapPath = `data/texture/유저인터페이스/map/${mapName}.bmp`;
+      return !Client.findGrfEntry(minimapPath) && !resolveLocalPath(minimapPath);
+    });
+
+    console.log(`Found ${mapNames.length} maps without a minimap`);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  let rendered = 0;
+  for (const mapName of mapNames) {
+    try {
+      const png = await Maps.getMinimap(mapName, size);
+      if (!png) {
+        console.log(` ✗ ${mapName}: .gat not found`);
+        continue;
+      }
+      fs.writeFileSync(path.join(outDir, `${mapName}.png`), png);
+      rendered++;
+      console.log(` ✓ ${mapName}.png`);
+    } catch (error) {
+      console.log(` ✗ ${mapName}: ${error.message}`);
+    }
+  }
+
+  console.log(`\nRendered ${rendered}/${mapNames.length} minimaps to ${outDir}`);
+  process.exit(rendered === mapNames.length ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error('\n❌ Fatal error:', error);
+  process.exit(1);
+});
@@ -4,4 +4,40 @@ module.exports = {
 	CLIENT_DATAINI: "DATA.INI",
 	CLIENT_AUTOEXTRACT: true,
 	CLIENT_ENABLESEARCH: true,
+
+	// Local file serving sandbox: only these directories are served from disk
+	CLIENT_LOCAL_ROOTS: ["data", "BGM", "System", "AI"],
+	// Extra directories searched for the same roots (e.g. resources/data/...), relative to the project root or absolute
+	CLIENT_LOCAL_OVERLAYS: ["resources"],
+	// Extensions that can be served from disk
+	CLIENT_LOCAL_EXTENSIONS: [
+		".act", ".bmp", ".ebm", ".ezv", ".gat", ".gif", ".gnd", ".gr2", ".imf",
+		".jpeg", ".jpg", ".lua", ".lub", ".mp3", ".ogg", ".pal", ".png", ".rsm",
+		".rsm2", ".rsw", ".spr", ".str", ".tga", ".txt", ".wav", ".xml",
+	],
+
+	// Extra job sprite names, JSON file { "<job id>": "<sprite name>" } merged over src/config/jobNames.js
+	CLIENT_JOBNAME_TABLE: "",
+	// Directories searched (in order) for the client's Lua data tables (npcidentity, jobname)
+	CLIENT_DATAINFO_PATHS: ["data/luafiles514/lua files/datainfo/", "data/lua files/datainfo/"],
+	// Item info files tried (in order) for the item catalog, the "#" tables in data/ fill the gaps
+	CLIENT_ITEMINFO_PATHS: ["System/iteminfo.lua", "System/iteminfo.lub"],
+	// clientinfo.xml locations tried in order (/api/clientinfo, server list of /api/robrowser-config.js)
+	CLIENT_INFO_PATHS: ["System/clientinfo.xml", "System/sclientinfo.xml", "data/clientinfo.xml", "data/sclientinfo.xml"],
+	// Changes to the clientinfo.xml connections, by position (0, 1, ...) or display name, "*" for all of them
+	// e.g. { "*": { "address": "dev.example.com" }, "0": { "port": 6901 } }
+	CLIENT_INFO_OVERRIDES: {},
+
+	// roBrowser configuration (/api/robrowser-config.js): JSON file with the "servers" list in roBrowser's format,
+	// used instead of clientinfo.xml when set
+	ROBROWSER_SERVERS_FILE: "",
+	// Packet version of servers that don't set one
+	ROBROWSER_PACKETVER: 20130807,
+
+	// WebSocket → TCP game proxy for roBrowser (ws://<host>:<port><WSPROXY_PATH>/<target host>:<target port>), disabled when empty
+	WSPROXY_PATH: "",
+	// Allowed targets ("host:port": login, char and map servers)
+	WSPROXY_TARGETS: ["127.0.0.1:6900", "127.0.0.1:6121", "127.0.0.1:5121"],
+	// Simultaneous connections per client IP
+	WSPROXY_MAX_CONNECTIONS_PER_IP: 10,
 };
@@ -0,0 +1,130 @@
+// Job id → body sprite name, as in data/sprite/인간족/몸통/<남|여>/<name>_<남|여>.spr
+// Extend or override with CLIENT_JOBNAME_TABLE (configs.js)
+module.exports = {
+	// First and second classes
+	0: "초보자",
+	1: "검사",
+	2: "마법사",
+	3: "궁수",
+	4: "성직자",
+	5: "상인",
+	6: "도둑",
+	7: "기사",
+	8: "프리스트",
+	9: "위저드",
+	10: "제철공",
+	11: "헌터",
+	12: "어세신",
+	13: "페코페코_기사",
+	14: "크루세이더",
+	15: "몽크",
+	16: "세이지",
+	17: "로그",
+	18: "연금술사",
+	19: "바드",
+	20: "무희",
+	21: "신페코크루세이더",
+	22: "결혼",
+	23: "슈퍼노비스",
+	24: "건너",
+	25: "닌자",
+	26: "산타",
+	27: "여름",
+
+	// Transcendent classes
+	4001: "초보자",
+	4002: "검사",
+	4003: "마법사",
+	4004: "궁수",
+	4005: "성직자",
+	4006: "상인",
+	4007: "도둑",
+	4008: "로드나이트",
+	4009: "하이프리",
+	4010: "하이위저드",
+	4011: "화이트스미스",
+	4012: "스나이퍼",
+	4013: "어쌔신크로스",
+	4014: "로드페코",
+	4015: "팔라딘",
+	4016: "챔피온",
+	4017: "프로페서",
+	4018: "스토커",
+	4019: "크리에이터",
+	4020: "클라운",
+	4021: "집시",
+	4022: "페코팔라딘",
+
+	// Baby classes (same sprites, drawn smaller by the client)
+	4023: "초보자",
+	4024: "검사",
+	4025: "마법사",
+	4026: "궁수",
+	4027: "성직자",
+	4028: "상인",
+	4029: "도둑",
+	4030: "기사",
+	4031: "프리스트",
+	4032: "위저드",
+	4033: "제철공",
+	4034: "헌터",
+	4035: "어세신",
+	4036: "페코페코_기사",
+	4037: "크루세이더",
+	4038: "몽크",
+	4039: "세이지",
+	4040: "로그",
+	4041: "연금술사",
+	4042: "바드",
+	4043: "무희",
+	4044: "신페코크루세이더",
+	4045: "슈퍼노비스",
+
+	// Taekwon classes
+	4046: "태권소년",
+	4047: "권성",
+	4048: "권성융합",
+	4049: "소울링커",
+
+	// Third classes (regular, then transcendent)
+	4054: "룬나이트",
+	4055: "워록",
+	4056: "레인져",
+	4057: "아크비숍",
+	4058: "미케닉",
+	4059: "길로틴크로스",
+	4060: "룬나이트",
+	4061: "워록",
+	4062: "레인져",
+	4063: "아크비숍",
+	4064: "미케닉",
+	4065: "길로틴크로스",
+	4066: "가드",
+	4067: "소서러",
+	4068: "민스트럴",
+	4069: "원더러",
+	4070: "슈라",
+	4071: "제네릭",
+	4072: "쉐도우체이서",
+	4073: "가드",
+	4074: "소서러",
+	4075: "민스트럴",
+	4076: "원더러",
+	4077: "슈라",
+	4078: "제네릭",
+	4079: "쉐도우체이서",
+	4080: "룬나이트쁘띠",
+	4081: "룬나이트쁘띠",
+	4082: "그리폰가드",
+	4083: "그리폰가드",
+	4084: "레인져늑대",
+	4085: "레인져늑대",
+	4086: "마도기어",
+	4087: "마도기어",
+
+	// Expanded classes
+	4190: "슈퍼노비스",
+	4211: "카게로우",
+	4212: "오보로",
+	4215: "리벨리온",
+};
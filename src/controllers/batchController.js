@@ -0,0 +1,75 @@
+const Client = require('./clientController');
+const { STATUS, buildContainer } = require('../utils/fileContainer');
+const { normalizeRequestPath } = require('../utils/pathSandbox');
+
+// Limits per batch request
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES) || 500;
+const BATCH_MAX_BYTES = (parseInt(process.env.BATCH_MAX_MB) || 64) * 1024 * 1024;
+
+const Batch = {
+  maxFiles: BATCH_MAX_FILES,
+  maxBytes: BATCH_MAX_BYTES,
+
+  /**
+   * Read several files through Client.getFile (LRU cache, GRFs, local files)
+   * @param {Array<string>} paths - Requested paths
+   * @returns {Promise<Array>} - [{ path, status, data }]
+   */
+  async getFiles(paths) {
+    const entries = [];
+    let totalBytes = 0;
+
+    for (const requestedPath of paths) {
+      // Only strings are paths (1 or null aren't looked up as "1" or "null")
+      if (typeof requestedPath !== 'string') {
+        entries.push({ path: '', status: STATUS.INVALID_PATH, data: null });
+        continue;
+      }
+
+      const filePath = requestedPath.replace(/^\/+/, '');
+      if (filePath.length > 1024 || !normalizeRequestPath(filePath)) {
+        entries.push({ path: requestedPath.slice(0, 1024), status: STATUS.INVALID_PATH, data: null });
+        continue;
+      }
+
+      if (totalBytes >= this.maxBytes) {
+        entries.push({ path: requestedPath, status: STATUS.SKIPPED, data: null });
+        continue;
+      }
+
+      const data = await Client.getFile(filePath);
+      if (!data) {
+        entries.push({ path: requestedPath, status: STATUS.NOT_FOUND, data: null });
+        continue;
+      }
+
+      if (totalBytes + data.length > this.maxBytes) {
+        entries.push({ path: requestedPath, status: STATUS.SKIPPED, data: null });
+        continue;
+      }
+
+      totalBytes += data.length;
+      entries.push({ path: requestedPath, status: STATUS.OK, data });
+    }
+
+    return entries;
+  },
+
+  /**
+   * Read several files and pack them in a binary container
+   * @param {Array<string>} paths - Requested paths
+   * @returns {Promise<Object>} - { buffer, found, missing }
+   */
+  async getContainer(paths) {
+    const entries = await this.getFiles(paths);
+    const found = entries.filter(entry => entry.status === STATUS.OK).length;
+
+    return {
+      buffer: buildContainer(entries),
+      found,
+      missing: entries.length - found,
+    };
+  },
+};
+
+module.exports = Batch;
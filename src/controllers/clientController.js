@@ -1,8 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
 const Grf = require('./grfController');
 const configs = require('../config/configs');
+const { pipeline } = require('stream');
 const LRUCache = require('../utils/LRUCache');
+const { createSliceStream } = require('../utils/streamUtils');
+const { normalizeRequestPath, resolveLocalPath, getExtractPath } = require('../utils/pathSandbox');
+const { parseAliasTable } = require('../parsers/tableParser');
 
 // File content cache (100 files, 256MB max)
 const fileCache = new LRUCache(
@@ -26,6 +32,13 @@ if (fs.existsSync(pathMappingFile)) {
   }
 }
 
+// Resource name aliases from data/resnametable.txt (loaded from the client at init): name → alias, relative to data/
+const RESNAME_TABLE = 'data/resnametable.txt';
+let resnameTable = new Map();
+
+// GRF files being extracted by extractFileStream (by file path), so concurrent reads extract once
+const extractingFiles = new Set();
+
 // Missing files log (async write queue)
 const missingFilesLog = path.join(__dirname, '..', '..', 'logs', 'missing-files.log');
 const missingFilesSet = new Set();
@@ -89,6 +102,9 @@ const Client = {
     // Build file index for O(1) lookups
     this.buildFileIndex();
 
+    // Index the client's resource name aliases
+    await this.loadResnameTable();
+
     const elapsed = Date.now() - startTime;
     console.log(`Client initialized in ${elapsed}ms (${fileIndex.size.toLocaleString()} files indexed)`);
   },
@@ -139,12 +155,90 @@ const Client = {
       }
     }
 
+    this.indexAliases();
+
     indexBuilt = true;
     const elapsed = Date.now() - startTime;
     console.log(`File index built in ${elapsed}ms`);
   },
 
+  /**
+   * Load data/resnametable.txt and add its aliases to the file index
+   */
+  async loadResnameTable() {
+    if (!this.hasFile(RESNAME_TABLE)) {
+      return;
+    }
+
+    try {
+      resnameTable = parseAliasTable(await this.getFile(RESNAME_TABLE));
+    } catch (e) {
+      console.error(`Failed to load ${RESNAME_TABLE}: ${e.message}`);
+      return;
+    }
+
+    const indexed = this.indexAliases();
+    console.log(`Loaded resource name aliases: ${resnameTable.size} entries (${indexed} indexed)`);
+  },
+
+  /**
+   * Index aliased names that aren't in the GRFs themselves
+   * Each entry points to the file of the first alias found along the chain, and records that alias
+   * @returns {number} - Number of indexed aliases
+   */
+  indexAliases() {
+    let indexed = 0;
+
+    for (const name of resnameTable.keys()) {
+      const aliasedPath = `data/${name}`;
+      if (fileIndex.has(aliasedPath)) continue;
+
+      const target = this.followAlias(name);
+      if (!target) continue;
+
+      const entry = { ...fileIndex.get(target.toLowerCase()), alias: target };
+      fileIndex.set(aliasedPath, entry);
+      fileIndex.set(aliasedPath.replace(/\//g, '\\'), entry);
+      indexed++;
+    }
+
+    return indexed;
+  },
+
+  /**
+   * Follow the alias chain of a name until an indexed file is found
+   * @param {string} name - Name relative to data/ (lowercase, forward slashes)
+   * @returns {string|null} - Path of the indexed alias (data/...) or null
+   */
+  followAlias(name) {
+    const visited = new Set([name]);
+    let alias = resnameTable.get(name);
+
+    while (alias) {
+      const aliasPath = `data/${alias}`;
+      const entry = fileIndex.get(aliasPath.toLowerCase());
+      if (entry) {
+        return entry.alias || aliasPath;
+      }
+
+      const next = alias.toLowerCase();
+      if (visited.has(next)) {
+        console.error(`Alias cycle in ${RESNAME_TABLE}: ${[...visited, next].join(' → ')}`);
+        return null;
+      }
+      visited.add(next);
+      alias = resnameTable.get(next);
+    }
+
+    return null;
+  },
+
   async getFile(filePath) {
+    // Reject traversal, null bytes and encoded separators
+    if (!normalizeRequestPath(filePath)) {
+      return null;
+    }
+
     // Check cache first
     const cacheKey = filePath.toLowerCase();
     const cached = fileCache.get(cacheKey);
@@ -154,12 +248,12 @@ const Client = {
 
     // Normalize paths
     let grfFilePath = filePath.replace(/\//g, '\\');
-    let localPath = path.join(__dirname, '..', '..', filePath);
+    const localPath = resolveLocalPath(filePath);
 
-    // Check local file system first
-    if (fs.existsSync(localPath)) {
+    // Check local file system first (sandboxed to the allowed roots)
+    if (localPath) {
       try {
-        const content = fs.readFileSync(localPath);
+        const content = await fs.promises.readFile(localPath);
         fileCache.set(cacheKey, content);
         return content;
       } catch (e) {
@@ -167,6 +261,38 @@ const Client = {
       }
     }
 
+    const entry = this.findGrfEntry(filePath);
+    if (entry) {
+      const grf = this.grfs[entry.grfIndex];
+      const fileContent = await grf.getFile(entry.originalPath);
+      if (fileContent) {
+        // Cache the result
+        fileCache.set(cacheKey, fileContent);
+
+        // Auto-extract if enabled
+        const extractPath = getExtractPath(filePath);
+        if (this.AutoExtract && extractPath) {
+          this.extractFile(extractPath, fileContent, grf.mtimeMs);
+        }
+
+        return fileContent;
+      }
+    }
+
+    // Log missing file
+    this.logMissingFile(filePath, grfFilePath, null);
+    return null;
+  },
+
+  /**
+   * Find which GRF holds a file
+   * Uses the file index and path mapping, then falls back to a sequential search
+   * @param {string} filePath - Requested path
+   * @returns {Object|null} - { grfIndex, originalPath } or null
+   */
+  findGrfEntry(filePath) {
+    const grfFilePath = filePath.replace(/\//g, '\\');
+
     // Use file index for O(1) GRF lookup
     const normalizedPath = filePath.toLowerCase().replace(/\\/g, '/');
     const normalizedBackslash = filePath.toLowerCase().replace(/\//g, '\\');
@@ -183,22 +309,8 @@ const Client = {
     }
 
     // Fast path: use index
-    if (indexEntry) {
-      const grf = this.grfs[indexEntry.grfIndex];
-      if (grf && grf.getFile) {
-        const fileContent = await grf.getFile(indexEntry.originalPath);
-        if (fileContent) {
-          // Cache the result
-          fileCache.set(cacheKey, fileContent);
-
-          // Auto-extract if enabled
-          if (this.AutoExtract) {
-            this.extractFile(localPath, fileContent);
-          }
-
-          return fileContent;
-        }
-      }
+    if (indexEntry && this.grfs[indexEntry.grfIndex]) {
+      return indexEntry;
     }
 
     // Fallback: sequential search (for files not in index)
@@ -208,32 +320,241 @@ const Client = {
       if (mappedPath) pathsToTry.push(mappedPath);
     }
 
-    for (const grf of this.grfs) {
-      if (grf && grf.getFile) {
+    for (let i = 0; i < this.grfs.length; i++) {
+      const grf = this.grfs[i];
+      if (grf && grf.getEntry) {
         for (const tryPath of pathsToTry) {
-          const fileContent = await grf.getFile(tryPath);
-          if (fileContent) {
-            fileCache.set(cacheKey, fileContent);
+          const entry = grf.getEntry(tryPath);
+          if (entry) {
+            return { grfIndex: i, originalPath: entry.path };
+          }
+        }
+      }
+    }
 
-            if (this.AutoExtract) {
-              this.extractFile(localPath, fileContent);
-            }
+    return null;
+  },
 
-            return fileContent;
-          }
+  /**
+   * Check if a file exists (on disk or in a GRF), without reading it or logging it as missing
+   * @param {string} filePath - Requested path
+   * @returns {boolean}
+   */
+  hasFile(filePath) {
+    if (!normalizeRequestPath(filePath)) {
+      return false;
+    }
+    return Boolean(resolveLocalPath(filePath) || this.findGrfEntry(filePath));
+  },
+
+  /**
+   * Resolve a file without reading it (used for streaming)
+   * @param {string} filePath - Requested path
+   * @returns {Promise<Object|null>} - File descriptor or null
+   *   local: { source: 'local', path, localPath, size, mtimeMs, etag, streamable }
+   *   grf:   { source: 'grf', path, grfIndex, originalPath, size, compressedSize, mtimeMs, etag, streamable }
+   */
+  async resolveFile(filePath) {
+    // Reject traversal, null bytes and encoded separators
+    if (!normalizeRequestPath(filePath)) {
+      return null;
+    }
+
+    const localPath = resolveLocalPath(filePath);
+
+    try {
+      const stat = localPath ? await fs.promises.stat(localPath) : null;
+      if (stat && stat.isFile()) {
+        const file = {
+          source: 'local',
+          path: filePath,
+          localPath,
+          size: stat.size,
+          mtimeMs: stat.mtimeMs,
+          etag: createETag(['local', stat.ino, stat.size, stat.mtimeMs]),
+          streamable: true,
+        };
+
+        // Files auto-extracted from a GRF keep its validators (same size, GRF mtime)
+        const grfFile = this.resolveGrfFile(filePath);
+        if (grfFile && grfFile.size === stat.size && Math.floor(grfFile.mtimeMs / 1000) === Math.floor(stat.mtimeMs / 1000)) {
+          file.mtimeMs = grfFile.mtimeMs;
+          file.etag = grfFile.etag;
         }
+
+        return file;
       }
+    } catch (e) {
+      // Not on disk, try the GRFs
     }
 
-    // Log missing file
-    this.logMissingFile(filePath, grfFilePath, null);
+    const grfFile = this.resolveGrfFile(filePath);
+    if (grfFile) {
+      return grfFile;
+    }
+
+    this.logMissingFile(filePath, filePath.replace(/\//g, '\\'), null);
     return null;
   },
 
+  /**
+   * Resolve a file in the GRFs only
+   * @param {string} filePath - Requested path
+   * @returns {Object|null} - GRF file descriptor (see resolveFile()) or null
+   */
+  resolveGrfFile(filePath) {
+    const indexEntry = this.findGrfEntry(filePath);
+    if (!indexEntry) {
+      return null;
+    }
+
+    const grf = this.grfs[indexEntry.grfIndex];
+    const entry = grf.getEntry(indexEntry.originalPath);
+    if (!entry) {
+      return null;
+    }
+
+    // Validators only change when the GRF itself changes: keep them with the index entry
+    if (!indexEntry.etag || indexEntry.grfMtimeMs !== grf.mtimeMs) {
+      indexEntry.etag = createETag([grf.fileName, grf.size, grf.mtimeMs, entry.offset, entry.compressedSize, entry.realSize]);
+      indexEntry.grfMtimeMs = grf.mtimeMs;
+    }
+
+    return {
+      source: 'grf',
+      path: filePath,
+      grfIndex: indexEntry.grfIndex,
+      originalPath: entry.path,
+      size: entry.realSize,
+      compressedSize: entry.compressedSize,
+      mtimeMs: grf.mtimeMs,
+      etag: indexEntry.etag,
+      streamable: !entry.encrypted,
+      ...(indexEntry.alias && { alias: indexEntry.alias }),
+    };
+  },
+
+  /**
+   * Get the stored zlib data of a GRF file, without inflating it
+   * Local files and entries stored uncompressed return null
+   * @param {Object} file - Descriptor returned by resolveFile()
+   * @returns {Promise<Buffer|null>} - zlib data (Content-Encoding: deflate) or null
+   */
+  async getRawFile(file) {
+    if (file.source !== 'grf') {
+      return null;
+    }
+
+    // Cached apart from the inflated representation
+    const cacheKey = `${file.path.toLowerCase()}|deflate`;
+    const cached = fileCache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const grf = this.grfs[file.grfIndex];
+    const raw = grf && grf.getRawFile ? await grf.getRawFile(file.originalPath) : null;
+    if (!raw) {
+      return null;
+    }
+
+    fileCache.set(cacheKey, raw);
+
+    // Auto-extract needs the inflated content
+    const extractPath = getExtractPath(file.path);
+    if (this.AutoExtract && extractPath) {
+      zlib.inflate(raw, (error, content) => {
+        if (error) {
+          console.error(`Failed to extract file: ${error.message}`);
+          return;
+        }
+        this.extractFile(extractPath, content, file.mtimeMs);
+      });
+    }
+
+    return raw;
+  },
+
+  /**
+   * Get a derived representation of a file (e.g. BMP converted to PNG)
+   * Cached apart from the original content, under "<path>|<variant>"
+   * @param {string} filePath - Requested file path
+   * @param {string} variant - Representation name
+   * @param {Function} transform - (content) => Buffer or Promise<Buffer>, may throw
+   * @returns {Promise<Buffer|null>} - Derived content or null if the file doesn't exist
+   */
+  async getDerivedFile(filePath, variant, transform) {
+    const cacheKey = `${filePath.toLowerCase()}|${variant}`;
+    const cached = fileCache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const content = await this.getFile(filePath);
+    if (!content) {
+      return null;
+    }
+
+    const derived = await transform(content);
+    fileCache.set(cacheKey, derived);
+    return derived;
+  },
+
+  /**
+   * Create a readable stream of the stored zlib data of a GRF file
+   * @param {Object} file - Descriptor returned by resolveFile()
+   * @returns {stream.Readable|null} - zlib stream or null
+   */
+  createRawReadStream(file) {
+    if (file.source !== 'grf') {
+      return null;
+    }
+
+    const grf = this.grfs[file.grfIndex];
+    return grf && grf.createRawReadStream ? grf.createRawReadStream(file.originalPath) : null;
+  },
+
+  /**
+   * Create a readable stream for a resolved file
+   * @param {Object} file - Descriptor returned by resolveFile()
+   * @param {Object} [range] - Optional { start, end } byte range (inclusive)
+   * @returns {stream.Readable|null} - Content stream or null
+   */
+  createReadStream(file, range = null) {
+    if (file.source === 'local') {
+      return fs.createReadStream(file.localPath, range ? { start: range.start, end: range.end } : {});
+    }
+
+    const grf = this.grfs[file.grfIndex];
+    const stream = grf && grf.createReadStream ? grf.createReadStream(file.originalPath) : null;
+    if (!stream) {
+      return null;
+    }
+
+    // Inflated GRF data can't be seeked: skip to the range instead
+    if (range) {
+      const slice = createSliceStream(range.start, range.end);
+      stream.on('error', (error) => slice.destroy(error));
+
+      // Stop inflating once the range is through (or the slice is abandoned)
+      slice.on('end', () => stream.destroy());
+      slice.on('close', () => stream.destroy());
+      return stream.pipe(slice);
+    }
+
+    // Extract on the first full read
+    if (this.AutoExtract && getExtractPath(file.path)) {
+      this.extractFileStream(file);
+    }
+
+    return stream;
+  },
+
   /**
    * Extract file to local filesystem (async)
+   * The GRF mtime is kept so the extracted copy shares the GRF validators
    */
-  extractFile(localPath, content) {
+  extractFile(localPath, content, mtimeMs) {
     setImmediate(() => {
       try {
         const extractDir = path.dirname(localPath);
@@ -241,12 +562,62 @@ const Client = {
           fs.mkdirSync(extractDir, { recursive: true });
         }
         fs.writeFileSync(localPath, content);
+        if (mtimeMs) {
+          fs.utimesSync(localPath, new Date(), new Date(mtimeMs));
+        }
       } catch (e) {
         console.error(`Failed to extract file: ${e.message}`);
       }
     });
   },
 
+  /**
+   * Extract a GRF file to local filesystem by streaming it (async)
+   */
+  extractFileStream(file) {
+    if (extractingFiles.has(file.path)) return;
+    extractingFiles.add(file.path);
+
+    setImmediate(() => {
+      const grf = this.grfs[file.grfIndex];
+      const source = grf.createReadStream(file.originalPath);
+      if (!source) {
+        extractingFiles.delete(file.path);
+        return;
+      }
+
+      const localPath = getExtractPath(file.path);
+      const tempPath = `${localPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+      const fail = (error) => {
+        console.error(`Failed to extract file: ${error.message}`);
+        fs.unlink(tempPath, () => extractingFiles.delete(file.path));
+      };
+
+      try {
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      } catch (e) {
+        source.destroy();
+        console.error(`Failed to extract file: ${e.message}`);
+        extractingFiles.delete(file.path);
+        return;
+      }
+
+      pipeline(source, fs.createWriteStream(tempPath), (error) => {
+        if (error) return fail(error);
+
+        fs.utimes(tempPath, new Date(), new Date(grf.mtimeMs), (utimesError) => {
+          if (utimesError) return fail(utimesError);
+
+          fs.rename(tempPath, localPath, (renameError) => {
+            if (renameError) return fail(renameError);
+            extractingFiles.delete(file.path);
+          });
+        });
+      });
+    });
+  },
+
   logMissingFile(requestedPath, grfPath, mappedPath) {
     if (missingFilesSet.has(requestedPath)) return;
 
@@ -309,6 +680,7 @@ const Client = {
     return {
       totalFiles: fileIndex.size,
       grfCount: this.grfs.length,
+      aliases: resnameTable.size,
       indexBuilt,
     };
   },
@@ -405,6 +777,11 @@ const Client = {
   }
 };
 
+// Build an entity tag from file metadata (no need to hash the content)
+function createETag(parts) {
+  return crypto.createHash('md5').update(parts.join(':')).digest('hex').slice(0, 16);
+}
+
 function parseIni(data) {
   const regex = {
     section: /^\s*\[\s*([^\]]*)\s*\]\s*$/,
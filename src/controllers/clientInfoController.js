@@ -0,0 +1,122 @@
+const Client = require('./clientController');
+const configs = require('../config/configs');
+const { parseClientInfo, writeClientInfo } = require('../parsers/clientInfoParser');
+
+// Parsed clientinfo.xml, as found in the client (resolves to null if missing), loaded on first use
+// Shared by concurrent callers; a missing file is only remembered once the GRF index is built, an invalid one never
+let loading = null;
+
+// Connection lists that can be overridden (other settings are single values)
+const LIST_FIELDS = { loading: 'string', admins: 'number' };
+
+/**
+ * Check a setting of CLIENT_INFO_OVERRIDES: a string, number or boolean (a list for loading/admins)
+ * Objects can't be written to clientinfo.xml
+ */
+function isValidOverride(field, value) {
+  if (LIST_FIELDS[field]) {
+    return Array.isArray(value) && value.every(item => typeof item === LIST_FIELDS[field]);
+  }
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * CLIENT_INFO_OVERRIDES without the invalid settings (reported once, at load)
+ */
+function loadOverrides() {
+  const overrides = {};
+
+  for (const [target, changes] of Object.entries(configs.CLIENT_INFO_OVERRIDES || {})) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      console.error(`CLIENT_INFO_OVERRIDES["${target}"] ignored: expected an object of settings`);
+      continue;
+    }
+
+    overrides[target] = {};
+    for (const [field, value] of Object.entries(changes)) {
+      if (isValidOverride(field, value)) {
+        overrides[target][field] = value;
+      } else {
+        console.error(`CLIENT_INFO_OVERRIDES["${target}"].${field} ignored: expected ${LIST_FIELDS[field] ? `a list of ${LIST_FIELDS[field]}s` : 'a string, number or boolean'}`);
+      }
+    }
+  }
+
+  return overrides;
+}
+
+const overrides = loadOverrides();
+
+/**
+ * Apply CLIENT_INFO_OVERRIDES to the connections ("*" first, then by position or display name)
+ */
+function applyOverrides(connections) {
+
+  return connections.map((connection, index) => {
+    const changes = [overrides['*'], overrides[index], overrides[connection.display]].filter(Boolean);
+    if (changes.length === 0) return connection;
+    return Object.assign({ ...connection }, ...changes, { overridden: true });
+  });
+}
+
+/**
+ * Read and parse the first of CLIENT_INFO_PATHS found in the client
+ * @returns {Promise<Object|null>} - null if missing, rejects if the file is invalid
+ */
+async function readClientInfo() {
+  const filePath = configs.CLIENT_INFO_PATHS.find(candidate => Client.hasFile(candidate));
+  if (!filePath) {
+    console.error(`clientinfo.xml not found (searched ${configs.CLIENT_INFO_PATHS.join(', ')})`);
+    return null;
+  }
+
+  try {
+    return { path: filePath, ...parseClientInfo(await Client.getFile(filePath)) };
+  } catch (e) {
+    throw new Error(`Failed to parse ${filePath}: ${e.message}`);
+  }
+}
+
+const ClientInfo = {
+  /**
+   * clientinfo.xml as found in the client: first of CLIENT_INFO_PATHS
+   * @returns {Promise<Object|null>} - { path, serviceType, serverType, connections } or null, rejects if the file is invalid
+   */
+  load() {
+    if (!loading) {
+      loading = readClientInfo().then(info => {
+        if (!info && !Client.getIndexStats().indexBuilt) loading = null;
+        return info;
+      }, error => {
+        loading = null;
+        throw error;
+      });
+    }
+
+    return loading;
+  },
+
+  /**
+   * clientinfo.xml with CLIENT_INFO_OVERRIDES applied to its connections
+   * Overridden connections are flagged with "overridden: true"
+   * @returns {Promise<Object|null>} - { path, serviceType, serverType, connections } or null
+   */
+  async get() {
+    const info = await this.load();
+    return info ? { ...info, connections: applyOverrides(info.connections) } : null;
+  },
+
+  /**
+   * clientinfo.xml with the overrides applied, as a file for the client
+   * @returns {Promise<Buffer|null>} - CP949 XML or null
+   */
+  async getXml() {
+    const info = await this.get();
+    if (!info) return null;
+
+    const connections = info.connections.map(({ overridden, ...connection }) => connection);
+    return writeClientInfo({ ...info, connections });
+  },
+};
+
+module.exports = ClientInfo;
@@ -3,11 +3,27 @@ const { GrfNode } = require("@chicowall/grf-loader");
 
 const fs = require("fs");
 const path = require("path");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { promisify } = require("util");
+
+const readAsync = promisify(fs.read);
+
+// GRF header size (entry offsets are relative to the end of the header)
+const GRF_HEADER_SIZE = 46;
+
+// Entry flags
+const FILELIST_TYPE_ENCRYPT_MIXED = 0x02;
+const FILELIST_TYPE_ENCRYPT_HEADER = 0x04;
+
 class Grf {
 	constructor(filePath) {
 		this.fileName = path.basename(filePath);
 		this.filePath = filePath;
 		this.grf = null;
+		this.fd = null;
+		this.size = 0;
+		this.mtimeMs = 0;
 		this.loaded = false;
 	}
 
@@ -19,6 +35,10 @@ class Grf {
 
 		try {
 			const fd = fs.openSync(this.filePath, "r");
+			const stat = fs.fstatSync(fd);
+			this.fd = fd;
+			this.size = stat.size;
+			this.mtimeMs = stat.mtimeMs;
 			this.grf = new GrfNode(fd);
 			await this.grf.load();
 			this.loaded = true;
@@ -44,6 +64,110 @@ class Grf {
 		}
 	}
 
+	/**
+	 * Get the file table entry for a file
+	 * @param {string} filename - Path as stored in the GRF
+	 * @returns {Object|null} - { path, offset, compressedSize, realSize, encrypted } or null
+	 */
+	getEntry(filename) {
+		if (!this.loaded || !this.grf) {
+			return null;
+		}
+
+		let matchedPath = filename;
+		let entry = this.grf.files.get(filename);
+
+		// Case/slash-insensitive lookup when the loader supports it
+		if (!entry && this.grf.resolvePath) {
+			const resolved = this.grf.resolvePath(filename);
+			if (resolved && resolved.status === "found") {
+				matchedPath = resolved.matchedPath;
+				entry = this.grf.files.get(matchedPath);
+			}
+		}
+
+		if (!entry) {
+			return null;
+		}
+
+		return {
+			path: matchedPath,
+			offset: entry.offset + GRF_HEADER_SIZE,
+			compressedSize: entry.compressedSize,
+			realSize: entry.realSize,
+			encrypted: (entry.type & (FILELIST_TYPE_ENCRYPT_MIXED | FILELIST_TYPE_ENCRYPT_HEADER)) !== 0,
+		};
+	}
+
+	/**
+	 * Get the stored zlib data of a compressed entry, without inflating it
+	 * @param {string} filename - Path as stored in the GRF
+	 * @returns {Promise<Buffer|null>} - zlib stream bytes, or null if the entry isn't stored compressed
+	 */
+	async getRawFile(filename) {
+		const entry = this.getEntry(filename);
+		if (!entry || entry.encrypted || entry.compressedSize === entry.realSize) {
+			return null;
+		}
+
+		try {
+			const data = Buffer.alloc(entry.compressedSize);
+			const { bytesRead } = await readAsync(this.fd, data, 0, entry.compressedSize, entry.offset);
+			return bytesRead === entry.compressedSize ? data : null;
+		} catch (error) {
+			console.error(`Error reading raw file: ${error}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Create a readable stream of the stored zlib data of a compressed entry
+	 * @param {string} filename - Path as stored in the GRF
+	 * @returns {stream.Readable|null} - zlib stream, or null if the entry isn't stored compressed
+	 */
+	createRawReadStream(filename) {
+		const entry = this.getEntry(filename);
+		if (!entry || entry.encrypted || entry.compressedSize === entry.realSize) {
+			return null;
+		}
+
+		return fs.createReadStream(this.filePath, {
+			start: entry.offset,
+			end: entry.offset + entry.compressedSize - 1,
+		});
+	}
+
+	/**
+	 * Create a readable stream of the (inflated) file content
+	 * Encrypted entries can't be streamed, use getFile() instead
+	 * @param {string} filename - Path as stored in the GRF
+	 * @returns {stream.Readable|null} - Content stream or null
+	 */
+	createReadStream(filename) {
+		const entry = this.getEntry(filename);
+		if (!entry || entry.encrypted) {
+			return null;
+		}
+
+		if (entry.realSize === 0) {
+			return Readable.from([]);
+		}
+
+		// Stored without compression
+		if (entry.compressedSize === entry.realSize) {
+			return fs.createReadStream(this.filePath, {
+				start: entry.offset,
+				end: entry.offset + entry.compressedSize - 1,
+			});
+		}
+
+		const raw = this.createRawReadStream(filename);
+
+		const inflate = zlib.createInflate();
+		raw.on("error", (error) => inflate.destroy(error));
+		return raw.pipe(inflate);
+	}
+
 	listFiles() {
 		if (!this.loaded || !this.grf) {
 			console.error("GRF not loaded or not initialized");
@@ -0,0 +1,133 @@
+const Client = require('./clientController');
+const configs = require('../config/configs');
+const { parseTableAssignment } = require('../parsers/luaParser');
+const { parseIdTable } = require('../parsers/tableParser');
+
+// Item icons: data/texture/유저인터페이스/item/<resource name>.bmp
+const ICON_DIR = 'data/texture/유저인터페이스/item/';
+
+// "#" tables used when iteminfo is missing or incomplete
+const ID_TABLES = {
+  displayName: 'data/idnum2itemdisplaynametable.txt',
+  resourceName: 'data/idnum2itemresnametable.txt',
+  description: 'data/idnum2itemdesctable.txt',
+};
+
+// Catalog (id → item), built on first use and kept once the GRF index is built
+let catalog = null;
+
+/**
+ * Description lines: iteminfo gives an array, the "#" table a multi-line string
+ */
+function toLines(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string') return value.split(/\r?\n/);
+  return [];
+}
+
+/**
+ * Load a "#" table (empty map if missing or invalid)
+ */
+async function loadIdTable(filePath) {
+  if (!Client.hasFile(filePath)) return new Map();
+  try {
+    return parseIdTable(await Client.getFile(filePath));
+  } catch (e) {
+    console.error(`Failed to parse ${filePath}: ${e.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * Load the "tbl" of the first iteminfo file found (empty object if none)
+ */
+async function loadItemInfo() {
+  const filePath = configs.CLIENT_ITEMINFO_PATHS.find(candidate => Client.hasFile(candidate));
+  if (!filePath) {
+    console.error(`Item info not found (searched ${configs.CLIENT_ITEMINFO_PATHS.join(', ')})`);
+    return {};
+  }
+
+  try {
+    const table = parseTableAssignment(await Client.getFile(filePath), 'tbl');
+    if (!table || Array.isArray(table)) throw new Error('No "tbl" table');
+    return table;
+  } catch (e) {
+    console.error(`Failed to parse ${filePath}: ${e.message}`);
+    return {};
+  }
+}
+
+/**
+ * Build the item catalog: iteminfo entries, completed by the "#" tables
+ * @returns {Promise<Map<number, Object>>}
+ */
+async function getCatalog() {
+  if (catalog) return catalog;
+
+  const info = await loadItemInfo();
+  const tables = {};
+  for (const [key, filePath] of Object.entries(ID_TABLES)) {
+    tables[key] = await loadIdTable(filePath);
+  }
+
+  const ids = new Set([...Object.keys(info).map(Number), ...tables.displayName.keys(), ...tables.resourceName.keys()]);
+  const items = new Map();
+
+  for (const id of [...ids].filter(Number.isInteger).sort((a, b) => a - b)) {
+    const entry = info[id] && typeof info[id] === 'object' ? info[id] : {};
+    const tableName = tables.displayName.get(id);
+
+    const name = entry.identifiedDisplayName || (tableName ? tableName.replace(/_/g, ' ') : '');
+    const resourceName = entry.identifiedResourceName || tables.resourceName.get(id) || '';
+    const iconPath = resourceName ? `${ICON_DIR}${resourceName}.bmp` : null;
+
+    items.set(id, {
+      id,
+      name,
+      resourceName,
+      description: toLines(entry.identifiedDescriptionName || tables.description.get(id)),
+      unidentified: {
+        name: entry.unidentifiedDisplayName || name,
+        resourceName: entry.unidentifiedResourceName || resourceName,
+        description: toLines(entry.unidentifiedDescriptionName),
+      },
+      slots: Number.isInteger(entry.slotCount) ? entry.slotCount : 0,
+      classNum: Number.isInteger(entry.ClassNum) ? entry.ClassNum : 0,
+      costume: entry.costume === true,
+      icon: iconPath ? `/api/items/${id}/icon` : null,
+      iconPath,
+    });
+  }
+
+  if (Client.getIndexStats().indexBuilt) catalog = items;
+  return items;
+}
+
+const Items = {
+  /**
+   * List items, optionally filtered by name / resource name
+   * @param {Object} options - { q, offset, limit }
+   * @returns {Promise<Object>} - { total, offset, limit, items }
+   */
+  async list({ q = '', offset = 0, limit = 100 } = {}) {
+    const items = [...(await getCatalog()).values()];
+    const query = q.trim().toLowerCase();
+    const matches = query
+      ? items.filter(item => item.name.toLowerCase().includes(query) || item.resourceName.toLowerCase().includes(query))
+      : items;
+
+    return { total: matches.length, offset, limit, items: matches.slice(offset, offset + limit) };
+  },
+
+  /**
+   * Get an item by id
+   * @param {number} id - Item id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return (await getCatalog()).get(id) || null;
+  },
+};
+
+module.exports = Items;
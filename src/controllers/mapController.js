@@ -0,0 +1,403 @@
+const Client = require('./clientController');
+const Batch = require('./batchController');
+const Models = require('./modelController');
+const { parseRsw } = require('../parsers/rswParser');
+const { parseGnd } = require('../parsers/gndParser');
+const { parseRsm } = require('../parsers/rsmParser');
+const { parseGat, getCellFlags, CELL_FLAGS } = require('../parsers/gatParser');
+const { renderMinimap, MINIMAP_SIZE } = require('../utils/minimapUtils');
+const { buildGroundMesh, buildModelMesh, getInstanceMatrix } = require('../utils/meshUtils');
+const GltfBuilder = require('../utils/GltfBuilder');
+const { normalizeRequestPath } = require('../utils/pathSandbox');
+const { parseAliasTable } = require('../parsers/tableParser');
+
+// Map names: letters, digits, "_", "-", "@" (instances) and "."
+const MAP_NAME_REGEX = /^[\w\-@.]+$/;
+
+// Client minimaps: data/texture/유저인터페이스/map/<map>.bmp
+const MINIMAP_PATH_REGEX = /^data\/texture\/유저인터페이스\/map\/([^/]+)\.bmp$/i;
+
+// Client tables of map display names and BGMs ("<map>.rsw#<value>#")
+const MAP_NAME_TABLE = 'data/mapnametable.txt';
+const MAP_BGM_TABLE = 'data/mp3nametable.txt';
+
+// Resolved dependency lists per map (paths only, contents go through the file cache), kept once the GRF index is built
+const dependencyCache = new Map();
+
+// Map list (every data/<map>.rsw of the client), built on first use and kept once the GRF index is built
+let mapList = null;
+
+/**
+ * Convert a path stored in RO files (backslashes) to a request path
+ */
+function toRequestPath(prefix, name) {
+  return `${prefix}${name.replace(/\\/g, '/')}`;
+}
+
+/**
+ * Load a "<map>.rsw#<value>#" table (empty map if missing or invalid)
+ */
+async function loadMapTable(filePath) {
+  if (!Client.hasFile(filePath)) return new Map();
+  try {
+    return parseAliasTable(await Client.getFile(filePath));
+  } catch (e) {
+    console.error(`Failed to parse ${filePath}: ${e.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * BGM request path: mp3nametable.txt gives "bgm\<file>.mp3", served from BGM/
+ */
+function toBgmPath(value) {
+  return `BGM/${value.replace(/^bgm\//i, '')}`;
+}
+
+/**
+ * Walkability grid as compact JSON
+ * Flat arrays indexed by y * width + x, y = 0 is the south edge
+ */
+function gridToJson(mapName, gat) {
+  return {
+    map: mapName,
+    version: gat.version,
+    width: gat.width,
+    height: gat.height,
+    flags: {
+      walkable: CELL_FLAGS.WALKABLE,
+      water: CELL_FLAGS.WATER,
+      snipeable: CELL_FLAGS.SNIPEABLE,
+      cliff: CELL_FLAGS.CLIFF,
+    },
+    types: gat.cells.map(cell => cell.type),
+    cells: gat.cells.map(cell => getCellFlags(cell.type)),
+    heights: gat.cells.map(cell => Math.round(averageHeight(cell) * 100) / 100),
+  };
+}
+
+/**
+ * Walkability grid as binary
+ * "GRID", uint32 width, uint32 height, float32 heights[n], uint8 flags[n], uint8 types[n]
+ * (little-endian, n = width * height, same cell order as the JSON)
+ */
+function gridToBinary(gat) {
+  const count = gat.width * gat.height;
+  const buffer = Buffer.alloc(12 + count * 6);
+  buffer.write('GRID', 0, 'ascii');
+  buffer.writeUInt32LE(gat.width, 4);
+  buffer.writeUInt32LE(gat.height, 8);
+
+  gat.cells.forEach((cell, i) => {
+    buffer.writeFloatLE(averageHeight(cell), 12 + i * 4);
+    buffer[12 + count * 4 + i] = getCellFlags(cell.type);
+    buffer[12 + count * 5 + i] = cell.type & 0xff;
+  });
+
+  return buffer;
+}
+
+function averageHeight(cell) {
+  return (cell.heights[0] + cell.heights[1] + cell.heights[2] + cell.heights[3]) / 4;
+}
+
+const Maps = {
+  /**
+   * Normalize a map name ("prontera", "prontera.rsw" → "prontera")
+   * @param {string} name - Map name from the request
+   * @returns {string|null} - Map name or null if invalid
+   */
+  normalizeName(name) {
+    if (typeof name !== 'string') return null;
+    const mapName = name.replace(/\.(rsw|gnd|gat)$/i, '');
+    return MAP_NAME_REGEX.test(mapName) && !mapName.startsWith('.') ? mapName : null;
+  },
+
+  /**
+   * List the client's maps (every data/<map>.rsw) with their display name, BGM and files
+   * @returns {Promise<Array<Object>>} - [{ name, displayName, bgm: { path, exists } | null, files: { gat, gnd, minimap } }]
+   */
+  async list() {
+    if (mapList) return mapList;
+
+    const names = await loadMapTable(MAP_NAME_TABLE);
+    const bgms = await loadMapTable(MAP_BGM_TABLE);
+
+    const mapNames = Client.listFiles()
+      .map(file => file.replace(/\\/g, '/').match(/^data\/([^/]+)\.rsw$/i))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort();
+
+    const maps = Array.from(new Set(mapNames)).map(mapName => {
+      const key = `${mapName.toLowerCase()}.rsw`;
+      const bgmPath = bgms.has(key) ? toBgmPath(bgms.get(key)) : null;
+
+      return {
+        name: mapName,
+        displayName: names.get(key) || null,
+        bgm: bgmPath ? { path: bgmPath, exists: Client.hasFile(bgmPath) } : null,
+        files: {
+          gat: Client.hasFile(`data/${mapName}.gat`),
+          gnd: Client.hasFile(`data/${mapName}.gnd`),
+          minimap: Client.hasFile(`data/texture/유저인터페이스/map/${mapName}.bmp`),
+        },
+      };
+    });
+
+    if (Client.getIndexStats().indexBuilt) mapList = maps;
+    return maps;
+  },
+
+  /**
+   * Load and parse a map's RSW
+   * @param {string} mapName - Normalized map name
+   * @returns {Promise<Object|null>} - Parsed RSW or null if missing
+   */
+  async getRsw(mapName) {
+    const content = await Client.getFile(`data/${mapName}.rsw`);
+    return content ? parseRsw(content) : null;
+  },
+
+  /**
+   * Resolve every file a map needs: RSW, GND, GAT, RSM models and the textures they use
+   * @param {string} mapName - Normalized map name
+   * @returns {Promise<Array<string>|null>} - Request paths, or null if the map doesn't exist
+   */
+  async getDependencies(mapName) {
+    if (dependencyCache.has(mapName)) {
+      return dependencyCache.get(mapName);
+    }
+
+    const rsw = await this.getRsw(mapName);
+    if (!rsw) return null;
+
+    const files = new Set([`data/${mapName}.rsw`]);
+    const textures = new Set();
+
+    const gndPath = toRequestPath('data/', rsw.files.gnd || `${mapName}.gnd`);
+    const gatPath = toRequestPath('data/', rsw.files.gat || `${mapName}.gat`);
+    files.add(gndPath);
+    files.add(gatPath);
+
+    const gndContent = await Client.getFile(gndPath);
+    if (gndContent) {
+      const gnd = parseGnd(gndContent);
+      gnd.textures.forEach(texture => textures.add(texture));
+    }
+
+    const modelPaths = new Set(rsw.models.map(model => toRequestPath('data/model/', model.filename)));
+    for (const modelPath of modelPaths) {
+      files.add(modelPath);
+      const rsmContent = await Client.getFile(modelPath);
+      if (!rsmContent) continue;
+
+      try {
+        parseRsm(rsmContent).textures.forEach(texture => textures.add(texture));
+      } catch (e) {
+        console.error(`Failed to parse ${modelPath}: ${e.message}`);
+      }
+    }
+
+    for (const texture of textures) {
+      if (texture) files.add(toRequestPath('data/texture/', texture));
+    }
+
+    const dependencies = Array.from(files);
+    if (Client.getIndexStats().indexBuilt) dependencyCache.set(mapName, dependencies);
+    return dependencies;
+  },
+
+  /**
+   * Build a map bundle (binary container, see src/utils/fileContainer.js)
+   * @param {string} mapName - Normalized map name
+   * @returns {Promise<Object|null>} - { buffer, found, missing } or null if the map doesn't exist
+   */
+  async getBundle(mapName) {
+    const dependencies = await this.getDependencies(mapName);
+    if (!dependencies) return null;
+    return Batch.getContainer(dependencies);
+  },
+
+  /**
+   * Get the map name of a client minimap path
+   * @param {string} filePath - Requested path
+   * @returns {string|null} - Map name or null if the path isn't a minimap
+   */
+  getMinimapName(filePath) {
+    const normalized = normalizeRequestPath(filePath);
+    const match = normalized && normalized.match(MINIMAP_PATH_REGEX);
+    return match ? this.normalizeName(match[1]) : null;
+  },
+
+  /**
+   * Render a minimap from the map's .gat, cached like any other file
+   * @param {string} mapName - Normalized map name
+   * @param {number} [size=512] - Longest side of the image, in pixels
+   * @param {string} [format='png'] - 'png' or 'bmp'
+   * @returns {Promise<Buffer|null>} - Image or null if the map has no .gat
+   */
+  async getMinimap(mapName, size = MINIMAP_SIZE, format = 'png') {
+    return Client.getDerivedFile(`data/${mapName}.gat`, `minimap-${size}-${format}`, content => {
+      return renderMinimap(parseGat(content), { size, format });
+    });
+  },
+
+  /**
+   * Describe a map from its RSW and GND: file references, water, lighting, objects and textures
+   * Cached as JSON like any other file (derived from the .rsw)
+   * @param {string} mapName - Normalized map name
+   * @returns {Promise<Buffer|null>} - Manifest JSON or null if the map doesn't exist
+   */
+  async getManifest(mapName) {
+    return Client.getDerivedFile(`data/${mapName}.rsw`, 'manifest', async content => {
+      const rsw = parseRsw(content);
+
+      const gndPath = toRequestPath('data/', rsw.files.gnd || `${mapName}.gnd`);
+      const gndContent = await Client.getFile(gndPath);
+      const gnd = gndContent ? parseGnd(gndContent) : null;
+
+      const manifest = {
+        map: mapName,
+        version: { rsw: rsw.version, gnd: gnd ? gnd.version : null },
+        files: rsw.files,
+        // RSW 2.6+ keeps the water settings in the GND
+        water: rsw.water || (gnd && gnd.water),
+        light: rsw.light,
+        ground: rsw.ground,
+        size: gnd ? { width: gnd.width, height: gnd.height, zoom: gnd.zoom } : null,
+        models: rsw.models,
+        lights: rsw.lights,
+        sounds: rsw.sounds,
+        effects: rsw.effects,
+        textures: gnd ? gnd.textures : [],
+        dependencies: await this.getDependencies(mapName),
+      };
+
+      return Buffer.from(JSON.stringify(manifest));
+    });
+  },
+
+  /**
+   * Water level of a map (RSW, or GND for RSW 2.6+)
+   * @param {string} mapName - Normalized map name
+   * @returns {Promise<number|null>} - Water level or null if the map has no water settings
+   */
+  async getWaterLevel(mapName) {
+    const rsw = await this.getRsw(mapName);
+    if (!rsw) return null;
+    if (rsw.water) return rsw.water.level;
+
+    const gndContent = await Client.getFile(toRequestPath('data/', rsw.files.gnd || `${mapName}.gnd`));
+    const gnd = gndContent ? parseGnd(gndContent) : null;
+    return gnd && gnd.water ? gnd.water.level : null;
+  },
+
+  /**
+   * Map cache entry (rAthena map_cache.dat): one GAT cell type per cell
+   * @param {string} mapName - Normalized map name
+   * @returns {Promise<Object|null>} - { name, xs, ys, cells: Buffer } or null if the map has no .gat
+   */
+  async getMapCacheEntry(mapName) {
+    const gatContent = await Client.getFile(`data/${mapName}.gat`);
+    if (!gatContent) return null;
+
+    const gat = parseGat(gatContent);
+    const waterLevel = await this.getWaterLevel(mapName);
+
+    // Same rule as rAthena's mapcache: walkable cells below the (integer) water level become water
+    const waterHeight = waterLevel === null ? null : Math.trunc(waterLevel);
+    const cells = Buffer.alloc(gat.width * gat.height);
+    gat.cells.forEach((cell, i) => {
+      const type = cell.type & 0xff;
+      cells[i] = type === 0 && waterHeight !== null && cell.heights[0] > waterHeight ? 3 : type;
+    });
+
+    return { name: mapName, xs: gat.width, ys: gat.height, cells };
+  },
+
+  /**
+   * Walkability grid of a map (from its .gat), cached like any other file
+   * @param {string} mapName - Normalized map name
+   * @param {string} format - "json" or "bin"
+   * @returns {Promise<Buffer|null>} - Encoded grid or null if the map has no .gat
+   */
+  async getGrid(mapName, format) {
+    return Client.getDerivedFile(`data/${mapName}.gat`, `grid-${format}`, content => {
+      const gat = parseGat(content);
+      return format === 'bin'
+        ? gridToBinary(gat)
+        : Buffer.from(JSON.stringify(gridToJson(mapName, gat)));
+    });
+  },
+
+  /**
+   * Export a map as binary glTF: terrain, placed models and their textures (PNG)
+   * Every file goes through Client.getFile, so overlays and path mappings apply.
+   * Cached like any other file (derived from the .rsw)
+   * @param {string} mapName - Normalized map name
+   * @returns {Promise<Buffer|null>} - GLB or null if the map doesn't exist
+   */
+  async getScene(mapName) {
+    return Client.getDerivedFile(`data/${mapName}.rsw`, 'glb', async content => {
+      const rsw = parseRsw(content);
+      const builder = new GltfBuilder();
+      const textureCache = new Map();
+      const children = [];
+
+      const gndPath = toRequestPath('data/', rsw.files.gnd || `${mapName}.gnd`);
+      const gndContent = await Client.getFile(gndPath);
+      let width = 0;
+      let height = 0;
+
+      if (gndContent) {
+        const gnd = parseGnd(gndContent);
+        width = gnd.width;
+        height = gnd.height;
+
+        const mesh = await Models.addTexturedMesh(builder, 'ground', buildGroundMesh(gnd), gnd.textures, textureCache);
+        if (mesh !== null) {
+          children.push(builder.addNode({ name: 'ground', mesh }));
+        }
+      }
+
+      // Each model is built once, then instanced
+      const meshes = new Map();
+      for (const model of rsw.models) {
+        const modelPath = toRequestPath('data/model/', model.filename);
+        const key = modelPath.toLowerCase();
+
+        if (!meshes.has(key)) {
+          let mesh = null;
+          const rsmContent = await Client.getFile(modelPath);
+          if (rsmContent) {
+            try {
+              const rsm = parseRsm(rsmContent);
+              mesh = await Models.addTexturedMesh(builder, model.filename, buildModelMesh(rsm), rsm.textures, textureCache);
+            } catch (e) {
+              console.error(`Failed to parse ${modelPath}: ${e.message}`);
+            }
+          }
+          meshes.set(key, mesh);
+        }
+
+        const mesh = meshes.get(key);
+        if (mesh !== null) {
+          children.push(builder.addNode({
+            name: model.name || model.filename,
+            mesh,
+            matrix: getInstanceMatrix(model, width, height),
+          }));
+        }
+      }
+
+      // RO is Y-down: flip the whole scene (180° around X)
+      const root = { name: mapName, rotation: [1, 0, 0, 0] };
+      if (children.length > 0) root.children = children;
+      builder.addNode(root, true);
+      return builder.toGlb();
+    });
+  },
+};
+
+module.exports = Maps;
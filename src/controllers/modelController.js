@@ -0,0 +1,155 @@
+const path = require('path');
+const Client = require('./clientController');
+const { parseRsm } = require('../parsers/rsmParser');
+const { isConvertible, convertToPng } = require('../utils/imageUtils');
+const { buildNodeMesh, getParentNode, getNodeTransform, getModelOffset, normalizeQuaternion } = require('../utils/meshUtils');
+const GltfBuilder = require('../utils/GltfBuilder');
+
+/**
+ * Keyframe times in seconds: RSM1 counts milliseconds, RSM2 counts frames
+ */
+function toSeconds(rsm, frame) {
+  return rsm.version >= 2.2 && rsm.frameRate > 0 ? frame / rsm.frameRate : frame / 1000;
+}
+
+/**
+ * Animation channel from RSM keyframes (sorted, one value per time)
+ * @returns {Object|null} - Channel, or null with less than 2 keyframes
+ */
+function toChannel(rsm, node, targetPath, keyframes, getValue) {
+  const sorted = [...keyframes].sort((a, b) => a.frame - b.frame)
+    .filter((keyframe, i, all) => i === 0 || keyframe.frame !== all[i - 1].frame);
+  if (sorted.length < 2) return null;
+
+  return {
+    node,
+    path: targetPath,
+    times: Float32Array.from(sorted.map(keyframe => toSeconds(rsm, keyframe.frame))),
+    values: Float32Array.from(sorted.flatMap(getValue)),
+  };
+}
+
+/**
+ * Check if a node is an ancestor of another (cyclic parent names)
+ */
+function isAncestor(rsm, node, other) {
+  for (let current = other, depth = 0; current && depth < rsm.nodes.length; depth++) {
+    if (current === node) return true;
+    current = getParentNode(rsm, current);
+  }
+  return false;
+}
+
+const Models = {
+  /**
+   * Add a mesh with one material per texture (BMP/TGA converted to PNG)
+   * Missing or unreadable textures get an untextured material
+   * @param {GltfBuilder} builder
+   * @param {string} name - Mesh name
+   * @param {Array<Object>} primitives - Primitives per texture index (see src/utils/meshUtils.js)
+   * @param {Array<string>} textures - Texture names relative to data/texture/
+   * @param {Map} cache - Texture name → material index, shared by the meshes of a glTF
+   * @returns {Promise<number|null>} - mesh index, null if the mesh is empty
+   */
+  async addTexturedMesh(builder, name, primitives, textures, cache) {
+    const withMaterials = [];
+    for (const primitive of primitives.filter(primitive => primitive.indices.length > 0)) {
+      const material = await this.getMaterial(builder, textures[primitive.texture] || '', cache);
+      withMaterials.push({ ...primitive, material });
+    }
+    return builder.addMesh(name, withMaterials);
+  },
+
+  /**
+   * Material of a texture, added to the glTF on first use
+   * @param {GltfBuilder} builder
+   * @param {string} name - Texture name relative to data/texture/ ("" for untextured)
+   * @param {Map} cache - Texture name → material index
+   * @returns {Promise<number>} - material index
+   */
+  async getMaterial(builder, name, cache) {
+    const key = name.toLowerCase();
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    const texturePath = `data/texture/${name.replace(/\\/g, '/')}`;
+    let texture = null;
+
+    try {
+      const content = name ? await Client.getFile(texturePath) : null;
+      if (content && isConvertible(texturePath)) {
+        texture = builder.addTexture(convertToPng(content, texturePath), 'image/png', name);
+      } else if (content && /\.png$/i.test(texturePath)) {
+        texture = builder.addTexture(content, 'image/png', name);
+      } else if (content && /\.jpe?g$/i.test(texturePath)) {
+        texture = builder.addTexture(content, 'image/jpeg', name);
+      }
+    } catch (e) {
+      console.error(`Failed to convert ${texturePath}: ${e.message}`);
+    }
+
+    const material = builder.addMaterial({ name: name || 'untextured', texture });
+    cache.set(key, material);
+    return material;
+  },
+
+  /**
+   * Export an RSM model as binary glTF: node hierarchy, textures and keyframe animations
+   * Cached like any other file (derived from the .rsm)
+   * @param {string} filePath - .rsm / .rsm2 path
+   * @returns {Promise<Buffer|null>} - GLB or null if the file doesn't exist
+   */
+  async getGlb(filePath) {
+    return Client.getDerivedFile(filePath, 'glb', async content => {
+      const rsm = parseRsm(content);
+      const builder = new GltfBuilder();
+      const textureCache = new Map();
+
+      // One glTF node per RSM node, same order
+      const nodes = [];
+      for (const node of rsm.nodes) {
+        const isRoot = !getParentNode(rsm, node);
+        const gltfNode = { name: node.name, ...getNodeTransform(node, rsm.version, isRoot) };
+        const mesh = await this.addTexturedMesh(builder, node.name, buildNodeMesh(node, rsm.version), rsm.textures, textureCache);
+        if (mesh !== null) gltfNode.mesh = mesh;
+        nodes.push(gltfNode);
+      }
+      const indices = nodes.map(node => builder.addNode(node));
+
+      // Hierarchy (nodes whose parent is missing become roots)
+      const roots = [];
+      rsm.nodes.forEach((node, i) => {
+        const parent = getParentNode(rsm, node);
+        const parentIndex = parent ? rsm.nodes.indexOf(parent) : -1;
+        if (parentIndex === -1 || isAncestor(rsm, node, parent)) {
+          roots.push(indices[i]);
+        } else {
+          const parentNode = nodes[parentIndex];
+          parentNode.children = [...(parentNode.children || []), indices[i]];
+        }
+      });
+
+      // RSM1 offset (centered, resting on Y = 0), then RO's Y-down flipped (180° around X)
+      const [x, y, z] = getModelOffset(rsm);
+      const root = { name: path.basename(filePath), translation: [x, -y, -z], rotation: [1, 0, 0, 0] };
+      if (roots.length > 0) root.children = roots;
+      builder.addNode(root, true);
+
+      // Keyframes: translation (RSM 1.5+), rotation, scale (RSM2)
+      const channels = [];
+      rsm.nodes.forEach((node, i) => {
+        channels.push(
+          toChannel(rsm, indices[i], 'translation', node.positionKeyframes, keyframe => keyframe.position),
+          toChannel(rsm, indices[i], 'rotation', node.rotationKeyframes, keyframe => normalizeQuaternion(keyframe.quaternion)),
+          toChannel(rsm, indices[i], 'scale', node.scaleKeyframes, keyframe => keyframe.scale)
+        );
+      });
+      builder.addAnimation('animation', channels.filter(Boolean));
+
+      return builder.toGlb();
+    });
+  },
+};
+
+module.exports = Models;
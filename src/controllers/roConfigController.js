@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const Client = require('./clientController');
+const ClientInfo = require('./clientInfoController');
+const configs = require('../config/configs');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+// Servers of ROBROWSER_SERVERS_FILE (null if unset or invalid) and BGM availability, loaded on first use
+let serversFile;
+let bgmAvailable = null;
+
+/**
+ * Servers of ROBROWSER_SERVERS_FILE: [{ display, address, port, ... }] or { servers: [...] }
+ */
+function loadServersFile() {
+  if (serversFile !== undefined) return serversFile;
+
+  serversFile = null;
+  if (!configs.ROBROWSER_SERVERS_FILE) return null;
+
+  const file = path.resolve(PROJECT_ROOT, configs.ROBROWSER_SERVERS_FILE);
+  try {
+    const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const servers = Array.isArray(content) ? content : content.servers;
+    if (!Array.isArray(servers)) throw new Error('Expected a "servers" array');
+    serversFile = servers;
+  } catch (e) {
+    console.error(`Failed to load server list ${file}: ${e.message}`);
+  }
+
+  return serversFile;
+}
+
+/**
+ * Check for BGM files: BGM/*.mp3 in the GRFs or on disk
+ * A negative answer is only remembered once the GRF index is built
+ */
+function hasBgm() {
+  if (bgmAvailable !== null) return bgmAvailable;
+
+  const available = Client.listFiles().some(file => /^bgm[\\/][^\\/]+\.mp3$/i.test(file)) ||
+    ['', ...configs.CLIENT_LOCAL_OVERLAYS].some(base => {
+      try {
+        return fs.readdirSync(path.resolve(PROJECT_ROOT, base, 'BGM')).some(name => /\.mp3$/i.test(name));
+      } catch (e) {
+        return false;
+      }
+    });
+
+  if (available || Client.getIndexStats().indexBuilt) bgmAvailable = available;
+  return available;
+}
+
+/**
+ * roBrowser server entry from a clientinfo.xml connection
+ */
+function toServer(connection) {
+  return {
+    display: connection.display || connection.address,
+    desc: connection.desc || '',
+    address: connection.address,
+    port: connection.port,
+    version: connection.version,
+    langtype: connection.langtype,
+    packetver: connection.packetver || configs.ROBROWSER_PACKETVER,
+    packetKeys: false,
+    adminList: connection.admins,
+  };
+}
+
+const RoConfig = {
+  /**
+   * Build roBrowser's ROConfig from the server settings and the client files
+   * @param {Object} options - { serverUrl: this server's URL as seen by the browser, e.g. "http://localhost:3338" }
+   * @returns {Promise<Object>} - ROConfig properties
+   */
+  async build({ serverUrl }) {
+    // clientinfo.xml is only read when ROBROWSER_SERVERS_FILE doesn't give the servers
+    const serverList = loadServersFile();
+    const info = serverList ? null : await ClientInfo.get();
+    const servers = (serverList || (info ? info.connections.filter(c => c.address && c.port).map(toServer) : []))
+      .map(server => ({ ...server, packetver: server.packetver || configs.ROBROWSER_PACKETVER }));
+
+    // Game connections go through the built-in WebSocket proxy when it's enabled
+    const socketProxy = configs.WSPROXY_PATH ? `${serverUrl.replace(/^http/, 'ws')}${configs.WSPROXY_PATH}` : null;
+    if (socketProxy) {
+      servers.forEach(server => {
+        if (!server.socketProxy) server.socketProxy = socketProxy;
+      });
+    }
+
+    const bgm = hasBgm();
+    const ai = Client.hasFile('AI/AI.lua');
+
+    return {
+      remoteClient: `${(process.env.REMOTE_CLIENT_PUBLIC_URL || serverUrl).replace(/\/+$/, '')}/`,
+      servers,
+      packetver: configs.ROBROWSER_PACKETVER,
+      skipServerList: servers.length === 1,
+      BGMFileExtension: bgm ? ['mp3'] : [],
+      features: {
+        bgm,
+        ai,
+        socketProxy: Boolean(socketProxy),
+        search: configs.CLIENT_ENABLESEARCH,
+        autoExtract: configs.CLIENT_AUTOEXTRACT,
+      },
+    };
+  },
+
+  /**
+   * ROConfig as a script, merged over any ROConfig already defined by the page
+   * @param {Object} config - Result of build()
+   * @returns {string}
+   */
+  toScript(config) {
+    return `window.ROConfig = Object.assign(window.ROConfig || {}, ${JSON.stringify(config, null, 2)});\n`;
+  },
+};
+
+module.exports = RoConfig;
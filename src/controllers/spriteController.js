@@ -0,0 +1,450 @@
+const fs = require('fs');
+const path = require('path');
+const Client = require('./clientController');
+const configs = require('../config/configs');
+const jobNames = require('../config/jobNames');
+const { parseSpr, frameToRgba, FRAME_TYPE } = require('../parsers/sprParser');
+const { parseAct } = require('../parsers/actParser');
+const { parseIdentityTable, parseNameTable } = require('../parsers/luaParser');
+const { encodePng, encodeApng } = require('../utils/pngUtils');
+const { encodeGif } = require('../utils/gifUtils');
+const { normalizeRequestPath } = require('../utils/pathSandbox');
+
+// Sprite sheet layout
+const SHEET_MAX_WIDTH = 2048;
+const SHEET_PADDING = 1;
+
+// Animation canvas limit (per side)
+const ANIMATION_MAX_SIZE = 1024;
+
+// Palettes given outside data/: data/palette/<path>
+const PALETTE_DIR = 'data/palette/';
+
+// Sprite locations by kind
+const JOB_BODY_DIR = 'data/sprite/인간족/몸통/';
+const JOB_PALETTE_DIR = 'data/palette/몸/';
+const MONSTER_DIR = 'data/sprite/몬스터/';
+const NPC_DIR = 'data/sprite/npc/';
+
+// Monster ids start at 1000; lower ids and 10001-19999 are NPCs
+const FIRST_MONSTER_ID = 1000;
+const NPC_ID_RANGE = [10001, 19999];
+
+// Sex as used in sprite names (RO: 0 = female, 1 = male)
+const SEX_NAMES = {
+  f: '여', female: '여', 0: '여', 여: '여',
+  m: '남', male: '남', 1: '남', 남: '남',
+};
+
+// Job names (bundled + CLIENT_JOBNAME_TABLE) and client Lua tables, loaded on first use
+// (the Lua tables are kept once the GRF index is built)
+let jobNameTable = null;
+let identityTables = null;
+
+/**
+ * Pack frames in rows (in frame order), wrapping at the sheet width
+ * @param {Array<Object>} frames - [{ width, height }]
+ * @returns {Object} - { width, height, positions: [{ x, y }] }
+ */
+function packFrames(frames) {
+  const widest = frames.reduce((max, frame) => Math.max(max, frame.width), 1);
+  const area = frames.reduce((sum, frame) => sum + (frame.width + SHEET_PADDING) * (frame.height + SHEET_PADDING), 0);
+  const sheetWidth = Math.max(widest, Math.min(SHEET_MAX_WIDTH, Math.ceil(Math.sqrt(area))));
+
+  const positions = [];
+  let x = 0;
+  let y = 0;
+  let rowHeight = 0;
+  let width = 1;
+
+  for (const frame of frames) {
+    if (x > 0 && x + frame.width > sheetWidth) {
+      x = 0;
+      y += rowHeight + SHEET_PADDING;
+      rowHeight = 0;
+    }
+    positions.push({ x, y });
+    width = Math.max(width, x + frame.width);
+    rowHeight = Math.max(rowHeight, frame.height);
+    x += frame.width + SHEET_PADDING;
+  }
+
+  return { width, height: Math.max(1, y + rowHeight), positions };
+}
+
+/**
+ * Load and parse the sprite, action and palette files
+ * @returns {Promise<Object>} - { spr, act, palette } or { missing: path } if a file doesn't exist
+ */
+async function loadFiles(paths, actRequired) {
+  const sprContent = await Client.getFile(paths.spr);
+  if (!sprContent) return { missing: paths.spr };
+
+  let palette = null;
+  if (paths.pal) {
+    const palContent = await Client.getFile(paths.pal);
+    if (!palContent) return { missing: paths.pal };
+    palette = palContent.subarray(0, 1024);
+  }
+
+  // An optional act is checked first, so its absence isn't logged as a missing file
+  const actContent = actRequired || Client.hasFile(paths.act) ? await Client.getFile(paths.act) : null;
+  if (!actContent && actRequired) return { missing: paths.act };
+
+  const spr = parseSpr(sprContent);
+  return { spr, act: actContent ? parseAct(actContent) : null, palette: palette || spr.palette };
+}
+
+/**
+ * Layer transform: scale (negative X when mirrored), rotation (degrees, clockwise) and offset
+ * @returns {Object|null} - { scaleX, scaleY, cos, sin } or null if the layer is flattened
+ */
+function getLayerTransform(layer) {
+  const scaleX = layer.scale[0] * (layer.mirror ? -1 : 1);
+  const scaleY = layer.scale[1];
+  if (!scaleX || !scaleY) return null;
+
+  const angle = layer.angle * Math.PI / 180;
+  return { scaleX, scaleY, cos: Math.cos(angle), sin: Math.sin(angle) };
+}
+
+/**
+ * Bounds of a layer relative to the sprite origin (frames are centered on the layer offset)
+ */
+function getLayerBounds(layer, image) {
+  const transform = getLayerTransform(layer);
+  if (!transform) return null;
+
+  const { scaleX, scaleY, cos, sin } = transform;
+  const xs = [];
+  const ys = [];
+  for (const [u, v] of [[0, 0], [image.width, 0], [0, image.height], [image.width, image.height]]) {
+    const x = (u - image.width / 2) * scaleX;
+    const y = (v - image.height / 2) * scaleY;
+    xs.push(x * cos - y * sin + layer.x);
+    ys.push(x * sin + y * cos + layer.y);
+  }
+
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * Draw a layer on a canvas (nearest neighbor, tinted by the layer color, alpha blended)
+ */
+function drawLayer(canvas, layer, image, bounds) {
+  const { scaleX, scaleY, cos, sin } = getLayerTransform(layer);
+  const [tintR, tintG, tintB, tintA] = layer.color.map(value => value / 255);
+
+  const startX = Math.max(0, Math.floor(bounds.minX + canvas.originX));
+  const endX = Math.min(canvas.width, Math.ceil(bounds.maxX + canvas.originX));
+  const startY = Math.max(0, Math.floor(bounds.minY + canvas.originY));
+  const endY = Math.min(canvas.height, Math.ceil(bounds.maxY + canvas.originY));
+
+  for (let dy = startY; dy < endY; dy++) {
+    for (let dx = startX; dx < endX; dx++) {
+      // Canvas pixel center back to frame coordinates
+      const cx = dx + 0.5 - canvas.originX - layer.x;
+      const cy = dy + 0.5 - canvas.originY - layer.y;
+      const u = Math.floor((cx * cos + cy * sin) / scaleX + image.width / 2);
+      const v = Math.floor((-cx * sin + cy * cos) / scaleY + image.height / 2);
+      if (u < 0 || v < 0 || u >= image.width || v >= image.height) continue;
+
+      const src = (v * image.width + u) * 4;
+      const alpha = image.rgba[src + 3] / 255 * tintA;
+      if (alpha <= 0) continue;
+
+      const dst = (dy * canvas.width + dx) * 4;
+      const below = canvas.rgba[dst + 3] / 255 * (1 - alpha);
+      const outAlpha = alpha + below;
+      canvas.rgba[dst] = Math.round((image.rgba[src] * tintR * alpha + canvas.rgba[dst] * below) / outAlpha);
+      canvas.rgba[dst + 1] = Math.round((image.rgba[src + 1] * tintG * alpha + canvas.rgba[dst + 1] * below) / outAlpha);
+      canvas.rgba[dst + 2] = Math.round((image.rgba[src + 2] * tintB * alpha + canvas.rgba[dst + 2] * below) / outAlpha);
+      canvas.rgba[dst + 3] = Math.round(outAlpha * 255);
+    }
+  }
+}
+
+/**
+ * Composite every frame of an action on a canvas that fits all of them
+ * @returns {Object} - { width, height, frames: [{ rgba, delay }] }
+ */
+function renderAction(spr, action, palette) {
+  const indexedCount = spr.frames.filter(frame => frame.type === FRAME_TYPE.INDEXED).length;
+  const images = new Map();
+
+  const getImage = layer => {
+    if (layer.index < 0) return null;
+    const index = layer.index + (layer.type === FRAME_TYPE.RGBA ? indexedCount : 0);
+    const frame = spr.frames[index];
+    if (!frame || !frame.width || !frame.height) return null;
+    if (!images.has(index)) {
+      images.set(index, { width: frame.width, height: frame.height, rgba: frameToRgba(frame, palette) });
+    }
+    return images.get(index);
+  };
+
+  // Layers to draw and the bounds of the whole action
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const frames = action.frames.map(frame => frame.layers.map(layer => {
+    const image = getImage(layer);
+    const bounds = image && getLayerBounds(layer, image);
+    if (!bounds) return null;
+    minX = Math.min(minX, bounds.minX);
+    minY = Math.min(minY, bounds.minY);
+    maxX = Math.max(maxX, bounds.maxX);
+    maxY = Math.max(maxY, bounds.maxY);
+    return { layer, image, bounds };
+  }).filter(Boolean));
+
+  const empty = minX === Infinity;
+  const canvas = {
+    width: empty ? 1 : Math.max(1, Math.min(ANIMATION_MAX_SIZE, Math.ceil(maxX) - Math.floor(minX))),
+    height: empty ? 1 : Math.max(1, Math.min(ANIMATION_MAX_SIZE, Math.ceil(maxY) - Math.floor(minY))),
+    originX: empty ? 0 : -Math.floor(minX),
+    originY: empty ? 0 : -Math.floor(minY),
+  };
+
+  const rendered = frames.map(layers => {
+    const rgba = Buffer.alloc(canvas.width * canvas.height * 4);
+    for (const { layer, image, bounds } of layers) {
+      drawLayer({ ...canvas, rgba }, layer, image, bounds);
+    }
+    return { rgba, delay: action.delay };
+  });
+
+  // An action without frames still makes a (transparent) image
+  if (rendered.length === 0) {
+    rendered.push({ rgba: Buffer.alloc(canvas.width * canvas.height * 4), delay: action.delay });
+  }
+
+  return { width: canvas.width, height: canvas.height, frames: rendered };
+}
+
+/**
+ * Job id → sprite name table (bundled table, then the configured JSON file)
+ */
+function getJobNameTable() {
+  if (jobNameTable) return jobNameTable;
+
+  jobNameTable = { ...jobNames };
+  if (configs.CLIENT_JOBNAME_TABLE) {
+    const file = path.resolve(__dirname, '..', '..', configs.CLIENT_JOBNAME_TABLE);
+    try {
+      Object.assign(jobNameTable, JSON.parse(fs.readFileSync(file, 'utf-8')));
+    } catch (e) {
+      console.error(`Failed to load job name table ${file}: ${e.message}`);
+    }
+  }
+
+  return jobNameTable;
+}
+
+/**
+ * npcidentity (id → JT_ constant) and jobname (JT_ constant → sprite name) from the client
+ * @returns {Promise<Object>} - { identities: Map, names: Map } (empty maps if unavailable)
+ */
+async function getIdentityTables() {
+  if (identityTables) return identityTables;
+
+  const tables = { identities: new Map(), names: new Map() };
+  const sources = [['identities', 'npcidentity', parseIdentityTable], ['names', 'jobname', parseNameTable]];
+
+  for (const [key, name, parse] of sources) {
+    const candidates = configs.CLIENT_DATAINFO_PATHS.flatMap(dir => [`${dir}${name}.lub`, `${dir}${name}.lua`]);
+    const filePath = candidates.find(candidate => Client.hasFile(candidate));
+    if (!filePath) {
+      console.error(`Lua table not found: ${name} (searched ${configs.CLIENT_DATAINFO_PATHS.join(', ')})`);
+      continue;
+    }
+
+    try {
+      tables[key] = parse(await Client.getFile(filePath));
+    } catch (e) {
+      console.error(`Failed to parse ${filePath}: ${e.message}`);
+    }
+  }
+
+  if (Client.getIndexStats().indexBuilt) identityTables = tables;
+  return tables;
+}
+
+/**
+ * Path and existence of a file
+ */
+function describeFile(filePath) {
+  return { path: filePath, exists: Client.hasFile(filePath) };
+}
+
+/**
+ * Validate a requested path and its extension
+ */
+function checkPath(filePath, ext) {
+  if (typeof filePath !== 'string') return null;
+  const normalized = normalizeRequestPath(filePath);
+  return normalized && path.extname(normalized).toLowerCase() === ext ? normalized : null;
+}
+
+const Sprites = {
+  /**
+   * Validate the sprite, action and palette paths of a request
+   * The action defaults to the .act next to the sprite (optional in that case),
+   * palettes outside data/ are looked up in data/palette/
+   * @param {Object} query - { spr, act, pal }
+   * @returns {Object|null} - { spr, act, pal, actOptional } or null if invalid
+   */
+  getPaths({ spr, act, pal } = {}) {
+    const sprPath = checkPath(spr, '.spr');
+    if (!sprPath) return null;
+
+    const actPath = act === undefined ? sprPath.replace(/\.spr$/i, '.act') : checkPath(act, '.act');
+    const palName = typeof pal === 'string' && !/^[\\/]?data[\\/]/i.test(pal) ? PALETTE_DIR + pal : pal;
+    const palPath = pal === undefined ? null : checkPath(palName, '.pal');
+    if (!actPath || (pal !== undefined && !palPath)) return null;
+
+    return { spr: sprPath, act: actPath, pal: palPath, actOptional: act === undefined };
+  },
+
+  /**
+   * Normalize a sex parameter ("f", "female", "0", "m", "male", "1")
+   * @param {string} sex - Sex from the request
+   * @returns {string|null} - "여" / "남" as used in sprite names, or null if invalid
+   */
+  normalizeSex(sex) {
+    return typeof sex === 'string' ? SEX_NAMES[sex.toLowerCase()] || null : null;
+  },
+
+  /**
+   * Resolve the body sprite of a job
+   * @param {number} jobId - Job id
+   * @param {string} sex - "여" or "남" (see normalizeSex())
+   * @param {number|null} [palette=null] - Body palette (cloth dye) number
+   * @returns {Object|null} - { job, sex, name, spr, act, pal } or null if the job is unknown
+   */
+  resolveJob(jobId, sex, palette = null) {
+    const name = getJobNameTable()[jobId];
+    if (!name) return null;
+
+    const base = `${JOB_BODY_DIR}${sex}/${name}_${sex}`;
+    return {
+      job: jobId,
+      sex: sex === '남' ? 'male' : 'female',
+      name,
+      spr: describeFile(`${base}.spr`),
+      act: describeFile(`${base}.act`),
+      pal: palette === null ? null : describeFile(`${JOB_PALETTE_DIR}${name}_${sex}_${palette}.pal`),
+    };
+  },
+
+  /**
+   * Resolve the sprite of a monster or NPC through the client's npcidentity and jobname tables
+   * @param {number} id - Monster / NPC id
+   * @returns {Promise<Object|null>} - { id, constant, name, spr, act } or null if the id is unknown
+   */
+  async resolveMonster(id) {
+    const { identities, names } = await getIdentityTables();
+    const constant = identities.get(id);
+    const name = constant && names.get(constant);
+    if (!name) return null;
+
+    // Both directories are checked, the one expected from the id first
+    const isNpc = id < FIRST_MONSTER_ID || (id >= NPC_ID_RANGE[0] && id <= NPC_ID_RANGE[1]);
+    const dirs = isNpc ? [NPC_DIR, MONSTER_DIR] : [MONSTER_DIR, NPC_DIR];
+    const fileName = name.replace(/\\/g, '/').toLowerCase();
+    const dir = dirs.find(candidate => Client.hasFile(`${candidate}${fileName}.spr`)) || dirs[0];
+
+    const base = `${dir}${fileName}`;
+    return {
+      id,
+      constant,
+      name,
+      spr: describeFile(`${base}.spr`),
+      act: describeFile(`${base}.act`),
+    };
+  },
+
+  /**
+   * Render a sprite sheet and describe its frames and animations
+   * @param {Object} paths - Result of getPaths()
+   * @returns {Promise<Object>} - { png, description } or { missing: path } if a file doesn't exist
+   */
+  async render(paths) {
+    const files = await loadFiles(paths, !paths.actOptional);
+    if (files.missing) return files;
+    const { spr, act, palette } = files;
+
+    // Sheet: every frame (indexed first, then RGBA, as the client numbers them)
+    const layout = packFrames(spr.frames);
+    const sheet = Buffer.alloc(layout.width * layout.height * 4);
+    const frames = spr.frames.map((frame, i) => {
+      const { x, y } = layout.positions[i];
+      const rgba = frameToRgba(frame, palette);
+      for (let row = 0; row < frame.height; row++) {
+        rgba.copy(sheet, ((y + row) * layout.width + x) * 4, row * frame.width * 4, (row + 1) * frame.width * 4);
+      }
+      return {
+        x,
+        y,
+        width: frame.width,
+        height: frame.height,
+        type: frame.type === FRAME_TYPE.RGBA ? 'rgba' : 'indexed',
+      };
+    });
+
+    const indexedCount = spr.frames.filter(frame => frame.type === FRAME_TYPE.INDEXED).length;
+
+    const description = {
+      spr: paths.spr,
+      act: act ? paths.act : null,
+      pal: paths.pal,
+      version: { spr: spr.version, act: act ? act.version : null },
+      width: layout.width,
+      height: layout.height,
+      frames,
+      actions: act ? act.actions.map(action => ({
+        delay: action.delay,
+        frames: action.frames.map(frame => ({
+          // Layers reference sheet frames; -1 is an empty layer
+          layers: frame.layers.map(layer => ({
+            frame: layer.index < 0 ? -1 : layer.index + (layer.type === FRAME_TYPE.RGBA ? indexedCount : 0),
+            x: layer.x,
+            y: layer.y,
+            mirror: layer.mirror,
+            scale: layer.scale,
+            angle: layer.angle,
+            color: layer.color,
+          })),
+          sound: frame.sound >= 0 && act.sounds[frame.sound] ? act.sounds[frame.sound] : null,
+          anchors: frame.anchors,
+        })),
+      })) : [],
+    };
+
+    return { png: encodePng(layout.width, layout.height, sheet), description };
+  },
+
+  /**
+   * Render one action (one direction of a motion) as an animated GIF or APNG
+   * Frames are composited like the client draws them, with the action's frame delay.
+   * @param {Object} paths - Result of getPaths()
+   * @param {number} actionIndex - Action index in the .act
+   * @param {string} format - "gif" or "apng"
+   * @returns {Promise<Object>} - { image }, { missing: path } if a file doesn't exist,
+   *   or { actionCount } if the action is out of range
+   */
+  async animate(paths, actionIndex, format) {
+    const files = await loadFiles(paths, true);
+    if (files.missing) return files;
+    const { spr, act, palette } = files;
+
+    const action = act.actions[actionIndex];
+    if (!action) return { actionCount: act.actions.length };
+
+    const { width, height, frames } = renderAction(spr, action, palette);
+    return { image: format === 'apng' ? encodeApng(width, height, frames) : encodeGif(width, height, frames) };
+  },
+};
+
+module.exports = Sprites;
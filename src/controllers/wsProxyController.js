@@ -0,0 +1,167 @@
+const net = require('net');
+const { WebSocketServer } = require('ws');
+const configs = require('../config/configs');
+
+// Largest message accepted from a client (game packets are far smaller)
+const MAX_PAYLOAD = 1024 * 1024;
+
+// Data queued for a slow client before the TCP side is paused
+const MAX_BUFFERED = 256 * 1024;
+
+// Open connections per client IP
+const connectionsByIp = new Map();
+
+// Counters reported by /api/health
+const stats = {
+  active: 0,
+  total: 0,
+  rejected: 0,
+  errors: 0,
+  bytesToServer: 0,
+  bytesToClient: 0,
+};
+
+/**
+ * Target of an upgrade request: "<WSPROXY_PATH>/<host>:<port>"
+ * @returns {Object|null} - { host, port } or null if the path doesn't match
+ */
+function parseTarget(url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  } catch (e) {
+    return null;
+  }
+
+  const prefix = `${configs.WSPROXY_PATH.replace(/\/+$/, '')}/`;
+  if (!pathname.startsWith(prefix)) return null;
+
+  const match = pathname.slice(prefix.length).match(/^([\w.-]+|\[[\da-f:.]+\]):(\d{1,5})$/i);
+  if (!match) return null;
+
+  const port = parseInt(match[2], 10);
+  return port > 0 && port < 65536 ? { host: match[1].replace(/^\[|\]$/g, ''), port } : null;
+}
+
+/**
+ * Check a target against WSPROXY_TARGETS
+ */
+function isAllowedTarget({ host, port }) {
+  return configs.WSPROXY_TARGETS.some(target => target.toLowerCase() === `${host}:${port}`.toLowerCase());
+}
+
+/**
+ * Refuse an upgrade with a plain HTTP response
+ */
+function rejectUpgrade(socket, status, message) {
+  stats.rejected++;
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+const WsProxy = {
+  /**
+   * Handle WebSocket upgrades on WSPROXY_PATH (no-op when the proxy is disabled)
+   * @param {http.Server} server - HTTP server returned by app.listen()
+   * @returns {boolean} - true if the proxy is enabled
+   */
+  attach(server) {
+    if (!configs.WSPROXY_PATH) return false;
+
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD });
+
+    server.on('upgrade', (req, socket, head) => {
+      const target = parseTarget(req.url);
+      if (!target) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+      if (!isAllowedTarget(target)) {
+        console.error(`WebSocket proxy: target not allowed ${target.host}:${target.port}`);
+        return rejectUpgrade(socket, 403, 'Forbidden');
+      }
+
+      const ip = req.socket.remoteAddress;
+      if ((connectionsByIp.get(ip) || 0) >= configs.WSPROXY_MAX_CONNECTIONS_PER_IP) {
+        console.error(`WebSocket proxy: too many connections from ${ip}`);
+        return rejectUpgrade(socket, 429, 'Too Many Requests');
+      }
+
+      wss.handleUpgrade(req, socket, head, ws => this.tunnel(ws, target, ip));
+    });
+
+    return true;
+  },
+
+  /**
+   * Tunnel a WebSocket to a TCP target: binary messages in both directions
+   * @param {WebSocket} ws - Accepted WebSocket
+   * @param {Object} target - { host, port }
+   * @param {string} ip - Client IP
+   */
+  tunnel(ws, target, ip) {
+    connectionsByIp.set(ip, (connectionsByIp.get(ip) || 0) + 1);
+    stats.active++;
+    stats.total++;
+
+    const tcp = net.connect(target.port, target.host);
+    tcp.setNoDelay(true);
+
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      stats.active--;
+
+      const count = connectionsByIp.get(ip) - 1;
+      if (count > 0) connectionsByIp.set(ip, count);
+      else connectionsByIp.delete(ip);
+
+      tcp.destroy();
+      if (ws.readyState === ws.OPEN || ws.readyState === ws.CONNECTING) ws.close();
+    };
+
+    // Client → server (writes are queued until the TCP connection is up)
+    ws.on('message', data => {
+      stats.bytesToServer += data.length;
+      if (!tcp.write(data)) ws.pause();
+    });
+    tcp.on('drain', () => ws.resume());
+
+    // Server → client (the TCP side is paused while the client lags behind)
+    tcp.on('data', chunk => {
+      stats.bytesToClient += chunk.length;
+      ws.send(chunk, { binary: true }, () => {
+        if (tcp.isPaused() && ws.bufferedAmount < MAX_BUFFERED) tcp.resume();
+      });
+      if (ws.bufferedAmount >= MAX_BUFFERED) tcp.pause();
+    });
+
+    tcp.on('error', error => {
+      stats.errors++;
+      console.error(`WebSocket proxy: ${target.host}:${target.port}: ${error.message}`);
+    });
+    ws.on('error', error => {
+      stats.errors++;
+      console.error(`WebSocket proxy: client ${ip}: ${error.message}`);
+    });
+
+    tcp.on('close', close);
+    ws.on('close', close);
+  },
+
+  /**
+   * Proxy status and counters
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      enabled: Boolean(configs.WSPROXY_PATH),
+      path: configs.WSPROXY_PATH || null,
+      targets: configs.WSPROXY_TARGETS,
+      maxConnectionsPerIp: configs.WSPROXY_MAX_CONNECTIONS_PER_IP,
+      clients: connectionsByIp.size,
+      ...stats,
+    };
+  },
+};
+
+module.exports = WsProxy;
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const WebSocket = require('ws');
+const configs = require('../config/configs');
+const WsProxy = require('./wsProxyController');
+
+let echoServer;
+let server;
+let target;
+
+function listen(srv) {
+  return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(srv.address().port)));
+}
+
+function connect(targetPath) {
+  return new WebSocket(`ws://127.0.0.1:${server.address().port}/ws/${targetPath}`);
+}
+
+/**
+ * Status of a refused upgrade
+ */
+function rejectedStatus(ws) {
+  return new Promise((resolve, reject) => {
+    ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+    ws.on('open', () => reject(new Error('Upgrade was accepted')));
+    ws.on('error', () => {});
+  });
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+before(async () => {
+  echoServer = net.createServer(socket => socket.pipe(socket));
+  target = `127.0.0.1:${await listen(echoServer)}`;
+
+  configs.WSPROXY_PATH = '/ws';
+  configs.WSPROXY_TARGETS = [target];
+  configs.WSPROXY_MAX_CONNECTIONS_PER_IP = 1;
+
+  server = http.createServer();
+  assert.equal(WsProxy.attach(server), true);
+  await listen(server);
+});
+
+after(() => {
+  server.close();
+  echoServer.close();
+});
+
+test('binary messages round-trip through the TCP target', async () => {
+  const initial = WsProxy.getStats();
+  const payload = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+
+  const ws = connect(target);
+  await new Promise(resolve => ws.on('open', resolve));
+
+  const received = [];
+  const echoed = new Promise(resolve => {
+    ws.on('message', data => {
+      received.push(data);
+      if (Buffer.concat(received).length >= payload.length) resolve(Buffer.concat(received));
+    });
+  });
+  ws.send(payload);
+  assert.deepEqual(await echoed, payload);
+
+  const stats = WsProxy.getStats();
+  assert.equal(stats.active, 1);
+  assert.equal(stats.total, initial.total + 1);
+  assert.equal(stats.bytesToServer, initial.bytesToServer + payload.length);
+  assert.equal(stats.bytesToClient, initial.bytesToClient + payload.length);
+
+  ws.close();
+  await waitFor(() => WsProxy.getStats().active === 0);
+  assert.equal(WsProxy.getStats().active, 0);
+  assert.equal(WsProxy.getStats().clients, 0);
+});
+
+test('targets outside WSPROXY_TARGETS are refused with 403', async () => {
+  const initial = WsProxy.getStats();
+
+  assert.equal(await rejectedStatus(connect('127.0.0.1:1')), 403);
+  assert.equal(WsProxy.getStats().rejected, initial.rejected + 1);
+});
+
+test('connections over WSPROXY_MAX_CONNECTIONS_PER_IP are refused with 429', async () => {
+  const initial = WsProxy.getStats();
+
+  const ws = connect(target);
+  await new Promise(resolve => ws.on('open', resolve));
+
+  assert.equal(await rejectedStatus(connect(target)), 429);
+  assert.equal(WsProxy.getStats().rejected, initial.rejected + 1);
+
+  ws.close();
+  await waitFor(() => WsProxy.getStats().active === 0);
+  assert.equal(WsProxy.getStats().active, 0);
+});
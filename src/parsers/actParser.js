@@ -0,0 +1,125 @@
+const BinaryReader = require('../utils/BinaryReader');
+
+/**
+ * ACT (Action) parser
+ * Actions → frames → layers (sprite references), anchor points, sound events and delays.
+ * Versions 2.0 to 2.5 (older files are read with the same layout minus the 2.x fields).
+ */
+
+// Default frame delay in ms, when the file has none (< 2.2)
+const DEFAULT_DELAY = 150;
+
+/**
+ * Parse an ACT file
+ * @param {Buffer} buffer - ACT content
+ * @returns {Object} - { version, actions: [{ frames, delay }], sounds }
+ */
+function parseAct(buffer) {
+  const reader = new BinaryReader(buffer);
+
+  const signature = reader.readString(2, 'ascii');
+  if (signature !== 'AC') {
+    throw new Error(`Invalid ACT signature: "${signature}"`);
+  }
+
+  const minor = reader.readUInt8();
+  const major = reader.readUInt8();
+  const version = major + minor / 10;
+
+  const actionCount = reader.readUInt16();
+  reader.skip(10); // reserved
+
+  const actions = new Array(actionCount);
+  for (let i = 0; i < actionCount; i++) {
+    const frameCount = reader.readUInt32();
+    const frames = new Array(frameCount);
+    for (let j = 0; j < frameCount; j++) {
+      frames[j] = parseFrame(reader, version);
+    }
+    actions[i] = { frames, delay: DEFAULT_DELAY };
+  }
+
+  // Sound event names, referenced by frame.sound
+  const sounds = [];
+  if (version >= 2.1) {
+    const soundCount = reader.readInt32();
+    for (let i = 0; i < soundCount; i++) {
+      sounds.push(reader.readString(40));
+    }
+  }
+
+  // Delay per action, stored in 25ms units
+  if (version >= 2.2) {
+    for (let i = 0; i < actionCount; i++) {
+      actions[i].delay = reader.readFloat() * 25;
+    }
+  }
+
+  return { version, actions, sounds };
+}
+
+/**
+ * Parse one frame (layers, sound event and anchor points)
+ */
+function parseFrame(reader, version) {
+  reader.skip(32); // unused clip ranges
+
+  const layerCount = reader.readUInt32();
+  const layers = new Array(layerCount);
+  for (let i = 0; i < layerCount; i++) {
+    layers[i] = parseLayer(reader, version);
+  }
+
+  const sound = version >= 2.0 ? reader.readInt32() : -1;
+
+  const anchors = [];
+  if (version >= 2.3) {
+    const anchorCount = reader.readInt32();
+    for (let i = 0; i < anchorCount; i++) {
+      reader.skip(4); // reserved
+      const x = reader.readInt32();
+      const y = reader.readInt32();
+      reader.skip(4); // attribute
+      anchors.push({ x, y });
+    }
+  }
+
+  return { layers, sound, anchors };
+}
+
+/**
+ * Parse one layer (sprite frame reference and its transform)
+ */
+function parseLayer(reader, version) {
+  const layer = {
+    x: reader.readInt32(),
+    y: reader.readInt32(),
+    index: reader.readInt32(),
+    mirror: reader.readInt32() !== 0,
+    color: [255, 255, 255, 255],
+    scale: [1, 1],
+    angle: 0,
+    type: 0,
+    width: 0,
+    height: 0,
+  };
+
+  if (version >= 2.0) {
+    layer.color = [reader.readUInt8(), reader.readUInt8(), reader.readUInt8(), reader.readUInt8()];
+    const scaleX = reader.readFloat();
+    layer.scale = [scaleX, version <= 2.3 ? scaleX : reader.readFloat()];
+    layer.angle = reader.readInt32();
+    layer.type = reader.readInt32();
+
+    if (version >= 2.5) {
+      layer.width = reader.readInt32();
+      layer.height = reader.readInt32();
+    }
+  }
+
+  return layer;
+}
+
+module.exports = {
+  parseAct,
+};
@@ -0,0 +1,141 @@
+const iconv = require('iconv-lite');
+const { decodeText } = require('../utils/textUtils');
+
+/**
+ * clientinfo.xml / sclientinfo.xml parser and writer
+ * Service settings and the server list shown by the client (address, port, version, langtype, ...).
+ * Files are usually CP949 ("euc-kr" declaration), UTF-8 is detected; files are written in CP949.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Numeric settings of a connection
+const NUMERIC_FIELDS = ['port', 'version', 'langtype', 'packetver'];
+
+/**
+ * Decode the XML entities of a text node
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] !== '#') return ENTITIES[name.toLowerCase()] !== undefined ? ENTITIES[name.toLowerCase()] : entity;
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Encode a text node
+ */
+function encodeEntities(text) {
+  return String(text).replace(/[&<>]/g, char => `&${{ '&': 'amp', '<': 'lt', '>': 'gt' }[char]};`);
+}
+
+/**
+ * Child elements of an XML fragment (not recursive)
+ * @returns {Array<Object>} - [{ name (lowercase), content }]
+ */
+function readElements(xml) {
+  const elements = [];
+  for (const match of xml.matchAll(/<([\w-]+)[^>]*?(?:\/>|>([\s\S]*?)<\/\1\s*>)/g)) {
+    elements.push({ name: match[1].toLowerCase(), content: match[2] || '' });
+  }
+  return elements;
+}
+
+/**
+ * Text of an element, trimmed, entities decoded
+ */
+function readText(content) {
+  return decodeEntities(content.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim();
+}
+
+/**
+ * Parse a <connection> element
+ */
+function parseConnection(content) {
+  const connection = {};
+  const admins = [];
+  const loading = [];
+
+  for (const { name, content: value } of readElements(content)) {
+    if (name === 'aid') {
+      admins.push(...readElements(value).map(admin => parseInt(readText(admin.content), 10)).filter(Number.isInteger));
+    } else if (name === 'loading') {
+      loading.push(...readElements(value).map(image => readText(image.content)).filter(Boolean));
+    } else if (name === 'registrationweb') {
+      connection.registrationWeb = readText(value);
+    } else if (NUMERIC_FIELDS.includes(name)) {
+      const number = parseInt(readText(value), 10);
+      connection[name] = Number.isNaN(number) ? null : number;
+    } else if (!/</.test(value)) {
+      connection[name] = readText(value);
+    }
+  }
+
+  return { ...connection, loading, admins };
+}
+
+/**
+ * Parse a clientinfo.xml file
+ * @param {Buffer} buffer - File content
+ * @returns {Object} - { serviceType, serverType, connections: [{ display, desc, address, port, version, langtype, packetver, registrationWeb, admins, loading, ... }] }
+ */
+function parseClientInfo(buffer) {
+  const xml = decodeText(buffer)
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  const root = readElements(xml).find(element => element.name === 'clientinfo');
+  if (!root) {
+    throw new Error('Missing <clientinfo> element');
+  }
+
+  const info = { serviceType: null, serverType: null, connections: [] };
+  for (const { name, content } of readElements(root.content)) {
+    if (name === 'servicetype') info.serviceType = readText(content);
+    else if (name === 'servertype') info.serverType = readText(content);
+    else if (name === 'connection') info.connections.push(parseConnection(content));
+  }
+
+  return info;
+}
+
+/**
+ * Write a clientinfo.xml file (same layout as the client's)
+ * @param {Object} info - { serviceType, serverType, connections } as returned by parseClientInfo()
+ * @returns {Buffer} - CP949 XML
+ */
+function writeClientInfo(info) {
+  const element = (name, value, indent) => value === ''
+    ? `${indent}<${name}/>`
+    : `${indent}<${name}>${encodeEntities(value)}</${name}>`;
+
+  const lines = ['<?xml version="1.0" encoding="euc-kr" ?>', '<clientinfo>'];
+  if (info.serviceType) lines.push(element('servicetype', info.serviceType, '\t'));
+  if (info.serverType) lines.push(element('servertype', info.serverType, '\t'));
+
+  for (const connection of info.connections) {
+    const { admins = [], loading = [], ...settings } = connection;
+
+    lines.push('\t<connection>');
+    for (const [key, value] of Object.entries(settings)) {
+      if (value === null || value === undefined) continue;
+      lines.push(element(key === 'registrationWeb' ? 'registrationweb' : key, value, '\t\t'));
+    }
+    if (loading.length > 0) {
+      lines.push('\t\t<loading>', ...loading.map(image => element('image', image, '\t\t\t')), '\t\t</loading>');
+    }
+    if (admins.length > 0) {
+      lines.push('\t\t<aid>', ...admins.map(id => element('admin', id, '\t\t\t')), '\t\t</aid>');
+    }
+    lines.push('\t</connection>');
+  }
+
+  lines.push('</clientinfo>', '');
+  return iconv.encode(lines.join('\r\n'), 'cp949');
+}
+
+module.exports = {
+  parseClientInfo,
+  writeClientInfo,
+};
@@ -0,0 +1,70 @@
+const BinaryReader = require('../utils/BinaryReader');
+
+/**
+ * GAT (Ground Altitude) parser
+ * Cell grid used by the server: corner heights and cell type.
+ * Cells are stored row by row starting from the south edge (y = 0), as in game coordinates.
+ */
+
+// Cell properties (bit flags)
+const CELL_FLAGS = {
+  WALKABLE: 1,
+  WATER: 2,
+  SNIPEABLE: 4,
+  CLIFF: 8,
+};
+
+// GAT cell type → flags (same table as the client)
+const TYPE_FLAGS = {
+  0: CELL_FLAGS.WALKABLE | CELL_FLAGS.SNIPEABLE,
+  1: 0,
+  2: CELL_FLAGS.WALKABLE | CELL_FLAGS.SNIPEABLE,
+  3: CELL_FLAGS.WALKABLE | CELL_FLAGS.SNIPEABLE | CELL_FLAGS.WATER,
+  4: CELL_FLAGS.WALKABLE | CELL_FLAGS.SNIPEABLE,
+  5: CELL_FLAGS.SNIPEABLE | CELL_FLAGS.CLIFF,
+  6: CELL_FLAGS.WALKABLE | CELL_FLAGS.SNIPEABLE,
+};
+
+/**
+ * Get the flags of a GAT cell type
+ * @param {number} type - Cell type
+ * @returns {number} - CELL_FLAGS combination
+ */
+function getCellFlags(type) {
+  return TYPE_FLAGS[type] !== undefined ? TYPE_FLAGS[type] : 0;
+}
+
+/**
+ * Parse a GAT file
+ * @param {Buffer} buffer - GAT content
+ * @returns {Object} - { version, width, height, cells: [{ heights[4], type }] }
+ */
+function parseGat(buffer) {
+  const reader = new BinaryReader(buffer);
+
+  const signature = reader.readString(4, 'ascii');
+  if (signature !== 'GRAT') {
+    throw new Error(`Invalid GAT signature: "${signature}"`);
+  }
+
+  const major = reader.readUInt8();
+  const minor = reader.readUInt8();
+  const version = major + minor / 10;
+
+  const width = reader.readUInt32();
+  const height = reader.readUInt32();
+
+  // Heights: bottom-left, bottom-right, top-left, top-right
+  const cells = new Array(width * height);
+  for (let i = 0; i < cells.length; i++) {
+    cells[i] = { heights: reader.readFloats(4), type: reader.readUInt32() };
+  }
+
+  return { version, width, height, cells };
+}
+
+module.exports = {
+  CELL_FLAGS,
+  getCellFlags,
+  parseGat,
+};
@@ -0,0 +1,123 @@
+const BinaryReader = require('../utils/BinaryReader');
+
+/**
+ * GND (Ground) parser
+ * Terrain mesh: textures, lightmaps, surfaces (tiles), cells (cubes) and water (1.8+).
+ */
+
+/**
+ * Parse a GND file
+ * @param {Buffer} buffer - GND content
+ * @param {Object} [options]
+ * @param {boolean} [options.lightmaps=false] - Keep the lightmap data (large)
+ * @returns {Object} - Parsed ground
+ */
+function parseGnd(buffer, { lightmaps = false } = {}) {
+  const reader = new BinaryReader(buffer);
+
+  const signature = reader.readString(4, 'ascii');
+  if (signature !== 'GRGN') {
+    throw new Error(`Invalid GND signature: "${signature}"`);
+  }
+
+  const major = reader.readUInt8();
+  const minor = reader.readUInt8();
+  const version = major + minor / 10;
+
+  const width = reader.readUInt32();
+  const height = reader.readUInt32();
+  const zoom = reader.readFloat();
+
+  const textureCount = reader.readUInt32();
+  const textureNameLength = reader.readUInt32();
+  const textures = [];
+  for (let i = 0; i < textureCount; i++) {
+    textures.push(reader.readString(textureNameLength));
+  }
+
+  // Lightmaps: brightness (w*h) + RGB color (w*h*3) per entry
+  const lightmapCount = reader.readUInt32();
+  const lightmap = {
+    count: lightmapCount,
+    perCellX: reader.readUInt32(),
+    perCellY: reader.readUInt32(),
+    sizeCell: reader.readUInt32(),
+    data: null,
+  };
+  const lightmapSize = lightmap.perCellX * lightmap.perCellY * 4 * lightmapCount;
+  if (lightmaps) {
+    lightmap.data = reader.readBytes(lightmapSize);
+  } else {
+    reader.skip(lightmapSize);
+  }
+
+  const surfaceCount = reader.readUInt32();
+  const surfaces = new Array(surfaceCount);
+  for (let i = 0; i < surfaceCount; i++) {
+    const u = reader.readFloats(4);
+    const v = reader.readFloats(4);
+    const textureIndex = reader.readInt16();
+    const lightmapIndex = reader.readUInt16();
+    const b = reader.readUInt8();
+    const g = reader.readUInt8();
+    const r = reader.readUInt8();
+    const a = reader.readUInt8();
+    surfaces[i] = { u, v, textureIndex, lightmapIndex, color: [r, g, b, a] };
+  }
+
+  // Cells: corner heights (bottom-left, bottom-right, top-left, top-right) and surface ids
+  const cells = new Array(width * height);
+  for (let i = 0; i < cells.length; i++) {
+    const heights = reader.readFloats(4);
+    const tileUp = version >= 1.6 ? reader.readInt32() : reader.readUInt16();
+    const tileFront = version >= 1.6 ? reader.readInt32() : reader.readUInt16();
+    const tileRight = version >= 1.6 ? reader.readInt32() : reader.readUInt16();
+    cells[i] = { heights, tileUp, tileFront, tileRight };
+  }
+
+  // Water (GND 1.8+, used by RSW 2.6+)
+  let water = null;
+  if (version >= 1.8 && reader.remaining() >= 32) {
+    water = {
+      level: reader.readFloat(),
+      type: reader.readInt32(),
+      waveHeight: reader.readFloat(),
+      waveSpeed: reader.readFloat(),
+      wavePitch: reader.readFloat(),
+      animSpeed: reader.readInt32(),
+      splitWidth: reader.readInt32(),
+      splitHeight: reader.readInt32(),
+      zones: [],
+    };
+
+    if (version >= 1.9) {
+      const zoneCount = water.splitWidth * water.splitHeight;
+      for (let i = 0; i < zoneCount; i++) {
+        water.zones.push({
+          level: reader.readFloat(),
+          type: reader.readInt32(),
+          waveHeight: reader.readFloat(),
+          waveSpeed: reader.readFloat(),
+          wavePitch: reader.readFloat(),
+          animSpeed: reader.readInt32(),
+        });
+      }
+    }
+  }
+
+  return {
+    version,
+    width,
+    height,
+    zoom,
+    textures,
+    lightmap,
+    surfaces,
+    cells,
+    water,
+  };
+}
+
+module.exports = {
+  parseGnd,
+};
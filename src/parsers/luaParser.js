@@ -0,0 +1,250 @@
+const { decodeText } = require('../utils/textUtils');
+
+/**
+ * Lua data tables of the client (data/luafiles514/lua files/datainfo/, System/iteminfo.lua)
+ * Only text files are read (.lua, or .lub saved as source); compiled .lub bytecode is detected and rejected.
+ */
+
+const LUA_BYTECODE_SIGNATURE = Buffer.from([0x1b, 0x4c, 0x75, 0x61]); // "\x1bLua"
+
+/**
+ * Check if a file is compiled Lua bytecode
+ * @param {Buffer} buffer - File content
+ * @returns {boolean}
+ */
+function isLuaBytecode(buffer) {
+  return buffer.length >= 4 && buffer.subarray(0, 4).equals(LUA_BYTECODE_SIGNATURE);
+}
+
+/**
+ * Decode a Lua source file (UTF-8 or CP949)
+ */
+function decodeLua(buffer) {
+  if (isLuaBytecode(buffer)) {
+    throw new Error('Compiled Lua bytecode is not supported, use a decompiled (text) file');
+  }
+  return decodeText(buffer);
+}
+
+/**
+ * Decode a Lua source file without its comments (for the line-based tables)
+ */
+function decodeSource(buffer) {
+  return decodeLua(buffer)
+    .replace(/--\[\[[\s\S]*?\]\]/g, '')
+    .replace(/--[^\n]*/g, '');
+}
+
+/**
+ * Reader for Lua literals: tables, strings, numbers, booleans and nil
+ * Anything else (variables, expressions) is returned as its source text.
+ */
+class LuaLiteralReader {
+  constructor(text, offset = 0) {
+    this.text = text;
+    this.offset = offset;
+  }
+
+  error(message) {
+    const line = this.text.slice(0, this.offset).split('\n').length;
+    return new Error(`${message} (line ${line})`);
+  }
+
+  // Skip whitespace and comments
+  skip() {
+    for (;;) {
+      const rest = this.text.slice(this.offset, this.offset + 4);
+      if (/^\s/.test(rest)) {
+        this.offset++;
+      } else if (rest.startsWith('--')) {
+        const long = this.text.slice(this.offset + 2).match(/^\[(=*)\[/);
+        if (long) {
+          const end = this.text.indexOf(`]${long[1]}]`, this.offset);
+          this.offset = end === -1 ? this.text.length : end + long[1].length + 2;
+        } else {
+          const end = this.text.indexOf('\n', this.offset);
+          this.offset = end === -1 ? this.text.length : end + 1;
+        }
+      } else {
+        return;
+      }
+    }
+  }
+
+  peek() {
+    this.skip();
+    return this.text[this.offset];
+  }
+
+  expect(char) {
+    if (this.peek() !== char) {
+      throw this.error(`Expected "${char}"`);
+    }
+    this.offset++;
+  }
+
+  readValue() {
+    const char = this.peek();
+    if (char === '{') return this.readTable();
+    if (char === '"' || char === "'") return this.readString();
+    if (char === '[' && /^\[=*\[/.test(this.text.slice(this.offset))) return this.readLongString();
+
+    const match = this.text.slice(this.offset).match(/^(-?(?:0x[\da-f]+|\d+\.?\d*(?:e[+-]?\d+)?|\.\d+)|[\w.:]+)/i);
+    if (!match) {
+      throw this.error(`Unexpected "${char}"`);
+    }
+    this.offset += match[0].length;
+
+    const token = match[0];
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'nil') return null;
+    const number = Number(token);
+    return Number.isNaN(number) ? token : number;
+  }
+
+  readString() {
+    const quote = this.text[this.offset++];
+    let value = '';
+
+    // Consecutive \ddd escapes are raw bytes of one encoded string (usually CP949 names)
+    let bytes = [];
+    const flush = () => {
+      if (bytes.length) value += decodeText(Buffer.from(bytes));
+      bytes = [];
+    };
+
+    while (this.offset < this.text.length) {
+      const char = this.text[this.offset++];
+      if (char === quote) {
+        flush();
+        return value;
+      }
+      if (char === '\n') throw this.error('Unfinished string');
+      if (char !== '\\') {
+        flush();
+        value += char;
+        continue;
+      }
+
+      const next = this.text[this.offset++];
+      const escapes = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v', '\n': '\n' };
+      if (/\d/.test(next)) {
+        const digits = this.text.slice(this.offset - 1).match(/^\d{1,3}/)[0];
+        this.offset += digits.length - 1;
+        const byte = parseInt(digits, 10);
+        if (byte > 255) throw this.error(`Invalid escape "\\${digits}"`);
+        bytes.push(byte);
+        continue;
+      }
+
+      flush();
+      value += escapes[next] !== undefined ? escapes[next] : next;
+    }
+
+    throw this.error('Unfinished string');
+  }
+
+  readLongString() {
+    const open = this.text.slice(this.offset).match(/^\[(=*)\[/);
+    const close = `]${open[1]}]`;
+    const start = this.offset + open[0].length;
+    const end = this.text.indexOf(close, start);
+    if (end === -1) throw this.error('Unfinished long string');
+
+    this.offset = end + close.length;
+    return this.text.slice(start, end).replace(/^\r?\n/, '');
+  }
+
+  // Tables with only positional values become arrays, others objects (positional keys 1, 2, ...)
+  readTable() {
+    this.expect('{');
+    const entries = [];
+    let position = 1;
+
+    while (this.peek() !== '}') {
+      if (this.offset >= this.text.length) throw this.error('Unfinished table');
+
+      let key;
+      if (this.peek() === '[' && !/^\[=*\[/.test(this.text.slice(this.offset))) {
+        this.offset++;
+        key = this.readValue();
+        this.expect(']');
+        this.expect('=');
+      } else {
+        const name = this.text.slice(this.offset).match(/^([A-Za-z_]\w*)\s*=(?!=)/);
+        if (name) {
+          key = name[1];
+          this.offset += name[0].length;
+        }
+      }
+
+      const value = this.readValue();
+      entries.push(key === undefined ? [position++, value, true] : [key, value, false]);
+
+      const separator = this.peek();
+      if (separator === ',' || separator === ';') {
+        this.offset++;
+      } else if (separator !== '}') {
+        throw this.error(`Unexpected "${separator}" in table`);
+      }
+    }
+    this.offset++;
+
+    if (entries.every(([, , positional]) => positional)) {
+      return entries.map(([, value]) => value);
+    }
+    const table = {};
+    for (const [key, value] of entries) table[key] = value;
+    return table;
+  }
+}
+
+/**
+ * Parse the literal table assigned to a global ("tbl = { ... }")
+ * @param {Buffer} buffer - File content
+ * @param {string} name - Global name
+ * @returns {Object|Array|null} - Table, or null if the assignment isn't found
+ */
+function parseTableAssignment(buffer, name) {
+  const text = decodeLua(buffer);
+  const match = new RegExp(`(?:^|[^\\w.])${name}\\s*=\\s*\\{`).exec(text);
+  if (!match) return null;
+
+  const reader = new LuaLiteralReader(text, match.index + match[0].length - 1);
+  return reader.readTable();
+}
+
+/**
+ * Parse an identity table: npcidentity.lub / jobidentity.lub ("JT_PORING = 1002,")
+ * @param {Buffer} buffer - File content
+ * @returns {Map<number, string>} - id → JT_ constant
+ */
+function parseIdentityTable(buffer) {
+  const identities = new Map();
+  for (const match of decodeSource(buffer).matchAll(/\b(JT_\w+)\s*=\s*(\d+)/g)) {
+    const id = parseInt(match[2], 10);
+    if (!identities.has(id)) identities.set(id, match[1]);
+  }
+  return identities;
+}
+
+/**
+ * Parse a name table: jobname.lub ("[jobtbl.JT_PORING] = "PORING",")
+ * @param {Buffer} buffer - File content
+ * @returns {Map<string, string>} - JT_ constant → sprite name
+ */
+function parseNameTable(buffer) {
+  const names = new Map();
+  for (const match of decodeSource(buffer).matchAll(/\[\s*jobtbl\.(JT_\w+)\s*\]\s*=\s*"([^"]*)"/g)) {
+    names.set(match[1], match[2]);
+  }
+  return names;
+}
+
+module.exports = {
+  isLuaBytecode,
+  parseTableAssignment,
+  parseIdentityTable,
+  parseNameTable,
+};
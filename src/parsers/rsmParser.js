@@ -0,0 +1,198 @@
+const BinaryReader = require('../utils/BinaryReader');
+
+/**
+ * RSM (Resource Model) parser
+ * RSM1 (1.1 - 1.5) and RSM2 (2.2 - 2.3): textures, node hierarchy, meshes and keyframes.
+ */
+
+/**
+ * Parse an RSM/RSM2 file
+ * @param {Buffer} buffer - RSM content
+ * @returns {Object} - Parsed model
+ */
+function parseRsm(buffer) {
+  const reader = new BinaryReader(buffer);
+
+  const signature = reader.readString(4, 'ascii');
+  if (signature !== 'GRSM') {
+    throw new Error(`Invalid RSM signature: "${signature}"`);
+  }
+
+  const major = reader.readUInt8();
+  const minor = reader.readUInt8();
+  const version = major + minor / 10;
+
+  const model = {
+    version,
+    animLength: reader.readInt32(),
+    shadeType: reader.readInt32(),
+    alpha: version >= 1.4 ? reader.readUInt8() / 255 : 1,
+    frameRate: 0,
+    textures: [],
+    rootNodes: [],
+    nodes: [],
+  };
+
+  let nodeCount;
+  if (version >= 2.3) {
+    model.frameRate = reader.readFloat();
+    const rootCount = reader.readInt32();
+    for (let i = 0; i < rootCount; i++) {
+      model.rootNodes.push(reader.readLengthString());
+    }
+    nodeCount = reader.readInt32();
+  } else if (version >= 2.2) {
+    model.frameRate = reader.readFloat();
+    const textureCount = reader.readInt32();
+    for (let i = 0; i < textureCount; i++) {
+      model.textures.push(reader.readLengthString());
+    }
+    const rootCount = reader.readInt32();
+    for (let i = 0; i < rootCount; i++) {
+      model.rootNodes.push(reader.readLengthString());
+    }
+    nodeCount = reader.readInt32();
+  } else {
+    reader.skip(16); // reserved
+    const textureCount = reader.readInt32();
+    for (let i = 0; i < textureCount; i++) {
+      model.textures.push(reader.readString(40));
+    }
+    model.rootNodes.push(reader.readString(40));
+    nodeCount = reader.readInt32();
+  }
+
+  for (let i = 0; i < nodeCount; i++) {
+    model.nodes.push(parseNode(reader, model));
+  }
+
+  return model;
+}
+
+/**
+ * Parse one node (mesh + transform + keyframes)
+ */
+function parseNode(reader, model) {
+  const { version } = model;
+
+  const node = {
+    name: version >= 2.2 ? reader.readLengthString() : reader.readString(40),
+    parentName: version >= 2.2 ? reader.readLengthString() : reader.readString(40),
+    textures: [],
+  };
+
+  // Texture ids (RSM 2.3 lists names per node, merged into the model table)
+  const textureCount = reader.readInt32();
+  for (let i = 0; i < textureCount; i++) {
+    if (version >= 2.3) {
+      const name = reader.readLengthString();
+      let index = model.textures.indexOf(name);
+      if (index === -1) {
+        index = model.textures.push(name) - 1;
+      }
+      node.textures.push(index);
+    } else {
+      node.textures.push(reader.readInt32());
+    }
+  }
+
+  node.matrix = reader.readFloats(9);
+  node.offset = reader.readFloats(3);
+
+  if (version >= 2.2) {
+    node.position = [0, 0, 0];
+    node.rotationAngle = 0;
+    node.rotationAxis = [0, 0, 0];
+    node.scale = [1, 1, 1];
+  } else {
+    node.position = reader.readFloats(3);
+    node.rotationAngle = reader.readFloat();
+    node.rotationAxis = reader.readFloats(3);
+    node.scale = reader.readFloats(3);
+  }
+
+  const vertexCount = reader.readInt32();
+  node.vertices = new Array(vertexCount);
+  for (let i = 0; i < vertexCount; i++) {
+    node.vertices[i] = reader.readFloats(3);
+  }
+
+  const tvertexCount = reader.readInt32();
+  node.tvertices = new Array(tvertexCount);
+  for (let i = 0; i < tvertexCount; i++) {
+    const color = version >= 1.2 ? reader.readUInt32() : 0xffffffff;
+    const uv = reader.readFloats(2);
+    node.tvertices[i] = { color, u: uv[0], v: uv[1] };
+  }
+
+  const faceCount = reader.readInt32();
+  node.faces = new Array(faceCount);
+  for (let i = 0; i < faceCount; i++) {
+    const faceSize = version >= 2.2 ? reader.readInt32() : 0;
+    const face = {
+      vertices: [reader.readUInt16(), reader.readUInt16(), reader.readUInt16()],
+      tvertices: [reader.readUInt16(), reader.readUInt16(), reader.readUInt16()],
+      texture: reader.readUInt16(),
+      twoSided: false,
+      smoothGroup: 0,
+    };
+    reader.skip(2); // padding
+    face.twoSided = reader.readInt32() !== 0;
+    if (version >= 1.2) {
+      face.smoothGroup = reader.readInt32();
+    }
+    // RSM2 faces may carry extra smoothing groups
+    if (faceSize > 24) {
+      reader.skip(faceSize - 24);
+    }
+    node.faces[i] = face;
+  }
+
+  node.positionKeyframes = [];
+  if (version >= 1.5) {
+    const count = reader.readInt32();
+    for (let i = 0; i < count; i++) {
+      const frame = reader.readInt32();
+      const position = reader.readFloats(3);
+      if (version >= 2.2) reader.skip(4);
+      node.positionKeyframes.push({ frame, position });
+    }
+  }
+
+  node.rotationKeyframes = [];
+  const rotationCount = reader.readInt32();
+  for (let i = 0; i < rotationCount; i++) {
+    node.rotationKeyframes.push({ frame: reader.readInt32(), quaternion: reader.readFloats(4) });
+  }
+
+  node.scaleKeyframes = [];
+  if (version >= 2.2) {
+    const count = reader.readInt32();
+    for (let i = 0; i < count; i++) {
+      const frame = reader.readInt32();
+      const scale = reader.readFloats(3);
+      reader.skip(4);
+      node.scaleKeyframes.push({ frame, scale });
+    }
+  }
+
+  // Texture animations (UV offsets), not kept
+  if (version >= 2.3) {
+    const textureAnimCount = reader.readInt32();
+    for (let i = 0; i < textureAnimCount; i++) {
+      reader.skip(4); // texture id
+      const typeCount = reader.readInt32();
+      for (let j = 0; j < typeCount; j++) {
+        reader.skip(4); // type
+        const frameCount = reader.readInt32();
+        reader.skip(frameCount * 8);
+      }
+    }
+  }
+
+  return node;
+}
+
+module.exports = {
+  parseRsm,
+};
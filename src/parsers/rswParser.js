@@ -0,0 +1,169 @@
+const BinaryReader = require('../utils/BinaryReader');
+
+/**
+ * RSW (Resource World) parser
+ * Map description: file references, water, lighting and placed objects
+ * (models, lights, sounds, effects). Versions 1.2 to 2.6.
+ */
+
+const OBJECT_TYPES = {
+  1: 'model',
+  2: 'light',
+  3: 'sound',
+  4: 'effect',
+};
+
+/**
+ * Parse an RSW file
+ * @param {Buffer} buffer - RSW content
+ * @returns {Object} - Parsed world
+ */
+function parseRsw(buffer) {
+  const reader = new BinaryReader(buffer);
+
+  const signature = reader.readString(4, 'ascii');
+  if (signature !== 'GRSW') {
+    throw new Error(`Invalid RSW signature: "${signature}"`);
+  }
+
+  const major = reader.readUInt8();
+  const minor = reader.readUInt8();
+  const version = major + minor / 10;
+
+  let buildNumber = 0;
+  if (version >= 2.5) {
+    buildNumber = reader.readUInt32();
+    reader.skip(1); // render flag
+  } else if (version >= 2.2) {
+    buildNumber = reader.readUInt8();
+  }
+
+  const files = {
+    ini: reader.readString(40),
+    gnd: reader.readString(40),
+    gat: version >= 1.4 ? reader.readString(40) : '',
+    src: reader.readString(40),
+  };
+
+  // Water (moved to the GND since 2.6)
+  let water = null;
+  if (version < 2.6) {
+    water = {
+      level: version >= 1.3 ? reader.readFloat() : 0,
+      type: version >= 1.8 ? reader.readInt32() : 0,
+      waveHeight: version >= 1.8 ? reader.readFloat() : 0.2,
+      waveSpeed: version >= 1.8 ? reader.readFloat() : 2,
+      wavePitch: version >= 1.8 ? reader.readFloat() : 50,
+      animSpeed: version >= 1.9 ? reader.readInt32() : 3,
+    };
+  }
+
+  const light = {
+    longitude: 45,
+    latitude: 45,
+    diffuse: [1, 1, 1],
+    ambient: [0.3, 0.3, 0.3],
+    opacity: 1,
+  };
+  if (version >= 1.5) {
+    light.longitude = reader.readInt32();
+    light.latitude = reader.readInt32();
+    light.diffuse = reader.readFloats(3);
+    light.ambient = reader.readFloats(3);
+    if (version >= 1.7) {
+      light.opacity = reader.readFloat();
+    }
+  }
+
+  const ground = { top: -500, bottom: 500, left: -500, right: 500 };
+  if (version >= 1.6) {
+    ground.top = reader.readInt32();
+    ground.bottom = reader.readInt32();
+    ground.left = reader.readInt32();
+    ground.right = reader.readInt32();
+  }
+
+  const models = [];
+  const lights = [];
+  const sounds = [];
+  const effects = [];
+
+  const objectCount = reader.readInt32();
+  for (let i = 0; i < objectCount; i++) {
+    const type = reader.readInt32();
+
+    switch (OBJECT_TYPES[type]) {
+      case 'model': {
+        const model = { name: '', animType: 0, animSpeed: 1, blockType: 0 };
+        if (version >= 1.3) {
+          model.name = reader.readString(40);
+          model.animType = reader.readInt32();
+          model.animSpeed = reader.readFloat();
+          model.blockType = reader.readInt32();
+        }
+        if (version >= 2.6 && buildNumber >= 186) {
+          reader.skip(1);
+        }
+        model.filename = reader.readString(80);
+        model.nodeName = reader.readString(80);
+        model.position = reader.readFloats(3);
+        model.rotation = reader.readFloats(3);
+        model.scale = reader.readFloats(3);
+        models.push(model);
+        break;
+      }
+
+      case 'light':
+        lights.push({
+          name: reader.readString(80),
+          position: reader.readFloats(3),
+          color: reader.readFloats(3),
+          range: reader.readFloat(),
+        });
+        break;
+
+      case 'sound':
+        sounds.push({
+          name: reader.readString(80),
+          file: reader.readString(80),
+          position: reader.readFloats(3),
+          volume: reader.readFloat(),
+          width: reader.readInt32(),
+          height: reader.readInt32(),
+          range: reader.readFloat(),
+          cycle: version >= 2.0 ? reader.readFloat() : 0,
+        });
+        break;
+
+      case 'effect':
+        effects.push({
+          name: reader.readString(80),
+          position: reader.readFloats(3),
+          id: reader.readInt32(),
+          delay: reader.readFloat(),
+          param: reader.readFloats(4),
+        });
+        break;
+
+      default:
+        throw new Error(`Unknown RSW object type ${type} at offset ${reader.offset - 4}`);
+    }
+  }
+
+  return {
+    version,
+    buildNumber,
+    files,
+    water,
+    light,
+    ground,
+    models,
+    lights,
+    sounds,
+    effects,
+  };
+}
+
+module.exports = {
+  parseRsw,
+};
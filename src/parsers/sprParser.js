@@ -0,0 +1,121 @@
+const BinaryReader = require('../utils/BinaryReader');
+
+/**
+ * SPR (Sprite) parser
+ * Indexed frames (8-bit, RLE since 2.1), RGBA frames (2.0+) and the 256 color palette.
+ */
+
+const FRAME_TYPE = {
+  INDEXED: 0,
+  RGBA: 1,
+};
+
+/**
+ * Parse a SPR file
+ * @param {Buffer} buffer - SPR content
+ * @returns {Object} - { version, frames: [{ type, width, height, data }], palette }
+ */
+function parseSpr(buffer) {
+  const reader = new BinaryReader(buffer);
+
+  const signature = reader.readString(2, 'ascii');
+  if (signature !== 'SP') {
+    throw new Error(`Invalid SPR signature: "${signature}"`);
+  }
+
+  const minor = reader.readUInt8();
+  const major = reader.readUInt8();
+  const version = major + minor / 10;
+
+  const indexedCount = reader.readUInt16();
+  const rgbaCount = version >= 2.0 ? reader.readUInt16() : 0;
+
+  const frames = [];
+
+  // Indexed frames: palette indices, 0 is transparent
+  for (let i = 0; i < indexedCount; i++) {
+    const width = reader.readUInt16();
+    const height = reader.readUInt16();
+    const data = version >= 2.1
+      ? decodeRle(reader.readBytes(reader.readUInt16()), width * height)
+      : reader.readBytes(width * height);
+    frames.push({ type: FRAME_TYPE.INDEXED, width, height, data });
+  }
+
+  // RGBA frames: ABGR pixels, bottom-up
+  for (let i = 0; i < rgbaCount; i++) {
+    const width = reader.readUInt16();
+    const height = reader.readUInt16();
+    frames.push({ type: FRAME_TYPE.RGBA, width, height, data: reader.readBytes(width * height * 4) });
+  }
+
+  // Palette: last 1024 bytes (RGB + unused byte)
+  let palette = null;
+  if (version > 1.0 && buffer.length >= 1024) {
+    palette = Buffer.from(buffer.subarray(buffer.length - 1024));
+  }
+
+  return { version, frames, palette };
+}
+
+/**
+ * Decode indexed frame data (runs of zeros: 0x00 <count>)
+ */
+function decodeRle(data, size) {
+  const out = Buffer.alloc(size);
+  let p = 0;
+  let o = 0;
+
+  while (p < data.length && o < size) {
+    const value = data[p++];
+    if (value === 0) {
+      const count = data[p++] || 1;
+      o += count;
+    } else {
+      out[o++] = value;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Convert a frame to RGBA pixels (top-down)
+ * @param {Object} frame - Frame from parseSpr()
+ * @param {Buffer} palette - 1024 byte palette (for indexed frames)
+ * @returns {Buffer} - RGBA data (width * height * 4)
+ */
+function frameToRgba(frame, palette) {
+  const { width, height, data } = frame;
+  const out = Buffer.alloc(width * height * 4);
+
+  if (frame.type === FRAME_TYPE.INDEXED) {
+    for (let i = 0; i < width * height; i++) {
+      const index = data[i];
+      if (index === 0 || !palette) continue;
+      out[i * 4] = palette[index * 4];
+      out[i * 4 + 1] = palette[index * 4 + 1];
+      out[i * 4 + 2] = palette[index * 4 + 2];
+      out[i * 4 + 3] = 255;
+    }
+    return out;
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const src = ((height - 1 - y) * width + x) * 4;
+      const dst = (y * width + x) * 4;
+      out[dst] = data[src + 3];
+      out[dst + 1] = data[src + 2];
+      out[dst + 2] = data[src + 1];
+      out[dst + 3] = data[src];
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  FRAME_TYPE,
+  parseSpr,
+  frameToRgba,
+};
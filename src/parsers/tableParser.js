@@ -0,0 +1,52 @@
+const { decodeText } = require('../utils/textUtils');
+
+/**
+ * Client "#" tables (data/idnum2itemdisplaynametable.txt, idnum2itemresnametable.txt, resnametable.txt, ...)
+ * Entries are "<id>#<value>#" (values may span several lines) or "<name>#<name>#"; "//" lines are comments.
+ */
+
+/**
+ * Drop the comment lines of a table
+ */
+function stripComments(buffer) {
+  return decodeText(buffer)
+    .split(/\r?\n/)
+    .filter(line => !line.trim().startsWith('//'))
+    .join('\n');
+}
+
+/**
+ * Parse an id table
+ * @param {Buffer} buffer - File content
+ * @returns {Map<number, string>} - id → value (trimmed)
+ */
+function parseIdTable(buffer) {
+  const table = new Map();
+  for (const match of stripComments(buffer).matchAll(/(\d+)#([^#]*)#/g)) {
+    table.set(parseInt(match[1], 10), match[2].trim());
+  }
+  return table;
+}
+
+/**
+ * Parse a name table: resnametable.txt ("texture\a.bmp#texture\b.bmp#", paths relative to data/),
+ * mapnametable.txt ("prontera.rsw#Prontera#"), mp3nametable.txt ("prontera.rsw#bgm\08.mp3#")
+ * @param {Buffer} buffer - File content
+ * @returns {Map<string, string>} - name (lowercase, forward slashes) → value (forward slashes)
+ */
+function parseAliasTable(buffer) {
+  const table = new Map();
+  for (const line of stripComments(buffer).split('\n')) {
+    const match = line.match(/^\s*([^#]+?)\s*#\s*([^#]+?)\s*#/);
+    if (!match) continue;
+
+    const name = match[1].replace(/\\/g, '/').toLowerCase();
+    if (!table.has(name)) table.set(name, match[2].replace(/\\/g, '/'));
+  }
+  return table;
+}
+
+module.exports = {
+  parseIdTable,
+  parseAliasTable,
+};
@@ -1,25 +1,47 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const crypto = require('crypto');
+const { pipeline } = require('stream');
 const router = express.Router();
 const Client = require('../controllers/clientController');
+const Batch = require('../controllers/batchController');
+const Maps = require('../controllers/mapController');
+const Sprites = require('../controllers/spriteController');
+const Models = require('../controllers/modelController');
+const Items = require('../controllers/itemController');
+const RoConfig = require('../controllers/roConfigController');
+const ClientInfo = require('../controllers/clientInfoController');
 const configs = require('../config/configs');
+const { hasEncodedSeparators } = require('../utils/pathSandbox');
+const { isConvertible, convertToPng } = require('../utils/imageUtils');
+const { parseAct } = require('../parsers/actParser');
+const { MINIMAP_SIZE } = require('../utils/minimapUtils');
+const {
+  parseRangeRequest,
+  sendRangeNotSatisfiable,
+  sendRanges,
+  sendStreamRanges,
+} = require('../utils/rangeUtils');
 
 // Cache duration settings (in seconds)
 const CACHE_DURATIONS = {
   static: 86400,      // 1 day for static game assets
+  hashed: 31536000,   // 1 year for content-addressed URLs (/h/<hash>/<path>)
   dynamic: 0,         // No cache for dynamic content
   index: 60,          // 1 minute for index.html
 };
 
-// Generate ETag from content
-function generateETag(content) {
-  return crypto.createHash('md5').update(content).digest('hex').slice(0, 16);
-}
+// Files larger than this are streamed instead of buffered (and not cached)
+const STREAM_THRESHOLD = (parseInt(process.env.STREAM_THRESHOLD_KB) || 1024) * 1024;
+
+// Item catalog pages
+const ITEMS_PAGE_SIZE = 100;
+const ITEMS_MAX_PAGE_SIZE = 1000;
 
 // Set cache headers based on file type
-function setCacheHeaders(res, filePath, content) {
+// ETag and Last-Modified come from the file metadata (GRF entry or local stat), see Client.resolveFile()
+// Only content-addressed URLs are immutable: plain paths change when a GRF is swapped
+function setCacheHeaders(res, filePath, file, { encoding = null, variant = null, hashed = false } = {}) {
   const ext = path.extname(filePath).toLowerCase();
 
   // Static game assets - long cache
@@ -30,11 +52,15 @@ function setCacheHeaders(res, filePath, content) {
     '.txt', '.xml', '.lub', '.lua'
   ];
 
-  if (staticExtensions.includes(ext)) {
-    const etag = generateETag(content);
-    res.set('ETag', `"${etag}"`);
-    res.set('Cache-Control', `public, max-age=${CACHE_DURATIONS.static}, immutable`);
-    res.set('Last-Modified', new Date().toUTCString());
+  if (hashed || staticExtensions.includes(ext)) {
+    // Each variant (e.g. png) and content encoding is a different representation
+    const suffix = [variant, encoding].filter(Boolean).map(part => `-${part}`).join('');
+    const etag = `"${file.etag}${suffix}"`;
+    res.set('ETag', etag);
+    res.set('Cache-Control', hashed
+      ? `public, max-age=${CACHE_DURATIONS.hashed}, immutable`
+      : `public, max-age=${CACHE_DURATIONS.static}`);
+    res.set('Last-Modified', new Date(file.mtimeMs).toUTCString());
     return etag;
   }
 
@@ -43,15 +69,45 @@ function setCacheHeaders(res, filePath, content) {
   return null;
 }
 
+// Content-addressed URL of a resolved file
+function getHashedUrl(file) {
+  return `/h/${file.etag}/${encodeURI(file.path)}`;
+}
+
 // Check if client has valid cached version
-function checkConditionalRequest(req, etag) {
+// If-None-Match (list, weak comparison) takes precedence over If-Modified-Since
+function checkConditionalRequest(req, etag, lastModified) {
   const ifNoneMatch = req.headers['if-none-match'];
-  if (ifNoneMatch && etag && ifNoneMatch === `"${etag}"`) {
-    return true;
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    if (ifNoneMatch.trim() === '*') return true;
+
+    const current = etag.replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === current);
   }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    const modified = Date.parse(lastModified);
+    return !isNaN(since) && !isNaN(modified) && modified <= since;
+  }
+
   return false;
 }
 
+// Check if the stored zlib data of a GRF entry can be sent as-is (Content-Encoding: deflate)
+// Range requests always get the identity representation
+function acceptsRawDeflate(req, file) {
+  if (file.source !== 'grf' || !file.streamable || file.compressedSize === file.size) {
+    return false;
+  }
+  if (req.headers.range || !req.headers['accept-encoding']) {
+    return false;
+  }
+  return req.acceptsEncodings('deflate') === 'deflate';
+}
+
 // Initialize client on startup
 (async () => {
   await Client.init();
@@ -68,6 +124,54 @@ router.post('/search', (req, res) => {
   res.send(files.join('\n'));
 });
 
+// roBrowser configuration: /api/robrowser-config.js (script setting window.ROConfig) or .json
+router.get(['/api/robrowser-config.js', '/api/robrowser-config.json'], async (req, res) => {
+  let config;
+  try {
+    config = await RoConfig.build({ serverUrl: `${req.protocol}://${req.get('host')}` });
+  } catch (e) {
+    console.error(`Failed to build roBrowser configuration: ${e.message}`);
+    return res.status(500).json({ error: `Failed to build roBrowser configuration: ${e.message}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  if (req.path.endsWith('.json')) {
+    return res.json(config);
+  }
+  res.type('js');
+  res.send(RoConfig.toScript(config));
+});
+
+// Client service settings and server list: /api/clientinfo (JSON) or ?format=xml (clientinfo.xml, CP949)
+// Connections reflect CLIENT_INFO_OVERRIDES
+router.get('/api/clientinfo', async (req, res) => {
+  const format = req.query.format || 'json';
+  if (format !== 'json' && format !== 'xml') {
+    return res.status(400).json({ error: 'Expected format=json or format=xml' });
+  }
+
+  let info;
+  let xml;
+  try {
+    info = await ClientInfo.get();
+    xml = info && format === 'xml' ? await ClientInfo.getXml() : null;
+  } catch (e) {
+    console.error(`Failed to load clientinfo.xml: ${e.message}`);
+    return res.status(500).json({ error: `Failed to load clientinfo.xml: ${e.message}` });
+  }
+
+  if (!info) {
+    return res.status(404).json({ error: 'clientinfo.xml not found' });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  if (format === 'xml') {
+    res.set('Content-Type', 'application/xml; charset=euc-kr');
+    return res.send(xml);
+  }
+  res.json(info);
+});
+
 // List files endpoint
 router.get('/list-files', async (req, res) => {
   const files = Client.listFiles();
@@ -75,6 +179,495 @@ router.get('/list-files', async (req, res) => {
   res.json(files);
 });
 
+// Content-addressed URL lookup: /api/asset-url?path=data/sprite/...
+router.get('/api/asset-url', async (req, res) => {
+  const filePath = req.query.path;
+  if (!filePath || typeof filePath !== 'string') {
+    return res.status(400).json({ error: 'Missing "path" query parameter' });
+  }
+
+  let file;
+  try {
+    file = await Client.resolveFile(filePath.replace(/^\/+/, ''));
+  } catch (e) {
+    console.error(`Failed to resolve ${filePath}: ${e.message}`);
+    return res.status(500).json({ path: filePath, error: `Failed to resolve file: ${e.message}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  if (!file) {
+    return res.status(404).json({ path: filePath, error: 'File not found' });
+  }
+
+  res.json({ path: file.path, hash: file.etag, url: getHashedUrl(file), ...(file.alias && { alias: file.alias }) });
+});
+
+// Batch lookup: { paths: [...] } → { path: url | null }
+router.post('/api/asset-urls', async (req, res) => {
+  const paths = req.body && req.body.paths;
+  if (!Array.isArray(paths)) {
+    return res.status(400).json({ error: 'Body must be { "paths": [...] }' });
+  }
+
+  const urls = {};
+  try {
+    for (const filePath of paths) {
+      if (typeof filePath !== 'string') continue;
+      const file = await Client.resolveFile(filePath.replace(/^\/+/, ''));
+      urls[filePath] = file ? getHashedUrl(file) : null;
+    }
+  } catch (e) {
+    console.error(`Failed to resolve asset URLs: ${e.message}`);
+    return res.status(500).json({ error: `Failed to resolve files: ${e.message}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.json(urls);
+});
+
+// Batch file fetch: { paths: [...] } → binary container (see src/utils/fileContainer.js)
+router.post('/api/batch', async (req, res) => {
+  const paths = req.body && req.body.paths;
+  if (!Array.isArray(paths) || paths.length === 0) {
+    return res.status(400).json({ error: 'Body must be { "paths": [...] }' });
+  }
+  if (paths.length > Batch.maxFiles) {
+    return res.status(413).json({ error: `Too many paths (max ${Batch.maxFiles})` });
+  }
+
+  let container;
+  try {
+    container = await Batch.getContainer(paths);
+  } catch (e) {
+    console.error(`Failed to build batch: ${e.message}`);
+    return res.status(500).json({ error: `Failed to read files: ${e.message}` });
+  }
+  const { buffer, found, missing } = container;
+
+  res.set('Cache-Control', 'no-store');
+  res.set('X-Batch-Found', String(found));
+  res.set('X-Batch-Missing', String(missing));
+  res.type('application/octet-stream');
+  res.send(buffer);
+});
+
+// Map bundle: RSW + GND + GAT + models + textures in one binary container
+router.get('/bundle/map/:name', async (req, res) => {
+  const mapName = Maps.normalizeName(req.params.name);
+  if (!mapName) {
+    return res.status(400).json({ error: 'Invalid map name' });
+  }
+
+  let bundle;
+  try {
+    bundle = await Maps.getBundle(mapName);
+  } catch (e) {
+    console.error(`Failed to build bundle for ${mapName}: ${e.message}`);
+    return res.status(500).json({ error: `Failed to parse map files: ${e.message}` });
+  }
+
+  if (!bundle) {
+    return res.status(404).json({ error: `Map not found: ${mapName}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.set('X-Batch-Found', String(bundle.found));
+  res.set('X-Batch-Missing', String(bundle.missing));
+  res.type('application/octet-stream');
+  res.send(bundle.buffer);
+});
+
+// Map list: /api/maps?q=prontera
+router.get('/api/maps', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase() : '';
+
+  let maps;
+  try {
+    maps = await Maps.list();
+  } catch (e) {
+    console.error(`Failed to list maps: ${e.message}`);
+    return res.status(500).json({ error: `Failed to list maps: ${e.message}` });
+  }
+
+  maps = maps.filter(map =>
+    !q || map.name.toLowerCase().includes(q) || (map.displayName && map.displayName.toLowerCase().includes(q))
+  );
+
+  res.set('Cache-Control', 'no-cache');
+  res.json({ total: maps.length, maps });
+});
+
+// Map manifest: RSW/GND references, water, lighting, objects, textures and dependencies
+router.get('/api/map/:name/manifest', async (req, res) => {
+  const mapName = Maps.normalizeName(req.params.name);
+  if (!mapName) {
+    return res.status(400).json({ error: 'Invalid map name' });
+  }
+
+  let manifest;
+  try {
+    manifest = await Maps.getManifest(mapName);
+  } catch (e) {
+    console.error(`Failed to build manifest for ${mapName}: ${e.message}`);
+    return res.status(500).json({ error: `Failed to parse map files: ${e.message}` });
+  }
+
+  if (!manifest) {
+    return res.status(404).json({ error: `Map not found: ${mapName}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.type('json');
+  res.send(manifest);
+});
+
+// Map scene as binary glTF: terrain, placed models and textures
+router.get('/api/map/:name/glb', async (req, res) => {
+  const mapName = Maps.normalizeName(req.params.name);
+  if (!mapName) {
+    return res.status(400).json({ error: 'Invalid map name' });
+  }
+
+  let glb;
+  try {
+    glb = await Maps.getScene(mapName);
+  } catch (e) {
+    console.error(`Failed to export ${mapName} as glTF: ${e.message}`);
+    return res.status(500).json({ error: `Failed to parse map files: ${e.message}` });
+  }
+
+  if (!glb) {
+    return res.status(404).json({ error: `Map not found: ${mapName}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.set('Content-Disposition', `inline; filename="${mapName}.glb"`);
+  res.type('model/gltf-binary');
+  res.send(glb);
+});
+
+// Walkability grid: /api/map/:name/gat?format=json|bin (binary layout in src/controllers/mapController.js)
+router.get('/api/map/:name/gat', async (req, res) => {
+  const mapName = Maps.normalizeName(req.params.name);
+  if (!mapName) {
+    return res.status(400).json({ error: 'Invalid map name' });
+  }
+
+  const format = req.query.format === 'bin' ? 'bin' : 'json';
+  const gatPath = `data/${mapName}.gat`;
+  const file = await Client.resolveFile(gatPath);
+  if (!file) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).json({ error: `Map not found: ${mapName}` });
+  }
+
+  let grid;
+  try {
+    grid = await Maps.getGrid(mapName, format);
+  } catch (e) {
+    console.error(`Failed to parse ${gatPath}: ${e.message}`);
+    return res.status(500).json({ error: `Failed to parse map files: ${e.message}` });
+  }
+
+  if (!grid) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).json({ error: `Map not found: ${mapName}` });
+  }
+
+  res.type(format === 'bin' ? 'application/octet-stream' : 'json');
+  const etag = setCacheHeaders(res, gatPath, file, { variant: `grid-${format}` });
+  sendContent(req, res, grid, etag);
+});
+
+// Minimap rendered from the .gat: /api/map/:name/minimap?size=<64-2048>
+router.get('/api/map/:name/minimap', async (req, res) => {
+  const mapName = Maps.normalizeName(req.params.name);
+  if (!mapName) {
+    return res.status(400).json({ error: 'Invalid map name' });
+  }
+
+  const size = Math.min(2048, Math.max(64, parseInt(req.query.size) || MINIMAP_SIZE));
+  return serveMinimap(req, res, mapName, size);
+});
+
+// Sprite sheet: /api/sprite/render?spr=...&act=...&pal=...&format=png|json
+router.get('/api/sprite/render', async (req, res) => {
+  const paths = Sprites.getPaths(req.query);
+  if (!paths) {
+    return res.status(400).json({ error: 'Expected "spr" (.spr) and optional "act" (.act) and "pal" (.pal) paths' });
+  }
+
+  let result;
+  try {
+    result = await Sprites.render(paths);
+  } catch (e) {
+    console.error(`Failed to render ${paths.spr}: ${e.message}`);
+    return res.status(500).json({ error: `Failed to parse sprite files: ${e.message}` });
+  }
+
+  if (result.missing) {
+    return res.status(404).json({ error: `File not found: ${result.missing}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  if (req.query.format === 'json') {
+    return res.json(result.description);
+  }
+  res.type('png');
+  res.send(result.png);
+});
+
+// Animated action: /api/sprite/animate?spr=...&act=...&pal=...&action=N&format=gif|apng
+router.get('/api/sprite/animate', async (req, res) => {
+  const paths = Sprites.getPaths(req.query);
+  if (!paths) {
+    return res.status(400).json({ error: 'Expected "spr" (.spr) and optional "act" (.act) and "pal" (.pal) paths' });
+  }
+
+  const action = req.query.action === undefined ? 0 : Number(req.query.action);
+  if (!Number.isInteger(action) || action < 0) {
+    return res.status(400).json({ error: 'Invalid action index' });
+  }
+
+  const format = req.query.format === undefined ? 'gif' : req.query.format;
+  if (format !== 'gif' && format !== 'apng') {
+    return res.status(400).json({ error: 'Unsupported format (expected gif or apng)' });
+  }
+
+  let result;
+  try {
+    result = await Sprites.animate(paths, action, format);
+  } catch (e) {
+    console.error(`Failed to animate ${paths.spr}: ${e.message}`);
+    return res.status(500).json({ error: `Failed to parse sprite files: ${e.message}` });
+  }
+
+  if (result.missing) {
+    return res.status(404).json({ error: `File not found: ${result.missing}` });
+  }
+  if (result.actionCount !== undefined) {
+    return res.status(404).json({ error: `Action not found: ${action} (${result.actionCount} actions)` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.type(format === 'apng' ? 'apng' : 'gif');
+  res.send(result.image);
+});
+
+// Job body sprite paths: /api/sprite/job/4008/f?palette=1
+router.get('/api/sprite/job/:jobId/:sex', (req, res) => {
+  const jobId = Number(req.params.jobId);
+  const sex = Sprites.normalizeSex(req.params.sex);
+  const palette = req.query.palette === undefined ? null : Number(req.query.palette);
+  if (!Number.isInteger(jobId) || jobId < 0 || !sex || (palette !== null && (!Number.isInteger(palette) || palette < 0))) {
+    return res.status(400).json({ error: 'Expected a job id, a sex (m/f) and an optional palette number' });
+  }
+
+  const job = Sprites.resolveJob(jobId, sex, palette);
+  if (!job) {
+    return res.status(404).json({ error: `Unknown job: ${jobId}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.json(job);
+});
+
+// Monster / NPC sprite paths: /api/sprite/monster/1002
+router.get('/api/sprite/monster/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 0) {
+    return res.status(400).json({ error: 'Invalid monster id' });
+  }
+
+  let monster;
+  try {
+    monster = await Sprites.resolveMonster(id);
+  } catch (e) {
+    console.error(`Failed to resolve monster ${id}: ${e.message}`);
+    return res.status(500).json({ error: `Failed to resolve monster ${id}: ${e.message}` });
+  }
+
+  if (!monster) {
+    return res.status(404).json({ error: `Unknown monster: ${id}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.json(monster);
+});
+
+// Item catalog: /api/items?q=potion&offset=0&limit=100
+router.get('/api/items', async (req, res) => {
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  const limit = req.query.limit === undefined ? ITEMS_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > ITEMS_MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `Expected an offset >= 0 and a limit between 1 and ${ITEMS_MAX_PAGE_SIZE}` });
+  }
+
+  const q = typeof req.query.q === 'string' ? req.query.q : '';
+  let list;
+  try {
+    list = await Items.list({ q, offset, limit });
+  } catch (e) {
+    console.error(`Failed to load the item catalog: ${e.message}`);
+    return res.status(500).json({ error: `Failed to load the item catalog: ${e.message}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.json(list);
+});
+
+// Item details: /api/items/501
+router.get('/api/items/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 0) {
+    return res.status(400).json({ error: 'Invalid item id' });
+  }
+
+  let item;
+  try {
+    item = await Items.get(id);
+  } catch (e) {
+    console.error(`Failed to load the item catalog: ${e.message}`);
+    return res.status(500).json({ error: `Failed to load the item catalog: ${e.message}` });
+  }
+
+  if (!item) {
+    return res.status(404).json({ error: `Unknown item: ${id}` });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.json(item);
+});
+
+// Item icon as PNG: /api/items/501/icon
+router.get('/api/items/:id/icon', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 0) {
+    return res.status(400).json({ error: 'Invalid item id' });
+  }
+
+  let item;
+  let file;
+  try {
+    item = await Items.get(id);
+    file = item && item.iconPath ? await Client.resolveFile(item.iconPath) : null;
+  } catch (e) {
+    console.error(`Failed to load the icon of item ${id}: ${e.message}`);
+    return res.status(500).json({ error: `Failed to load the icon of item ${id}: ${e.message}` });
+  }
+
+  if (!item) {
+    return res.status(404).json({ error: `Unknown item: ${id}` });
+  }
+
+  if (!file) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).json({ error: `File not found: ${item.iconPath || `icon of item ${id}`}` });
+  }
+
+  return sendConverted(req, res, item.iconPath, file, false);
+});
+
+// Action file as JSON: /api/act/data/sprite/...act
+router.get('/api/act/*', async (req, res) => {
+  const filePath = req.params[0];
+  if (path.extname(filePath).toLowerCase() !== '.act') {
+    return res.status(400).json({ error: 'Expected an .act path' });
+  }
+
+  const file = hasEncodedSeparators(req.path) ? null : await Client.resolveFile(filePath);
+  if (!file) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).json({ error: `File not found: ${filePath}` });
+  }
+
+  let json;
+  try {
+    json = await Client.getDerivedFile(filePath, 'json', content => Buffer.from(JSON.stringify(parseAct(content))));
+  } catch (e) {
+    console.error(`Failed to parse ${filePath}: ${e.message}`);
+    return res.status(500).json({ error: `Failed to parse action file: ${e.message}` });
+  }
+
+  if (!json) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).json({ error: `File not found: ${filePath}` });
+  }
+
+  res.type('json');
+  const etag = setCacheHeaders(res, filePath, file, { variant: 'json' });
+  sendContent(req, res, json, etag);
+});
+
+// Model as binary glTF: /api/model/data/model/...rsm?format=glb
+router.get('/api/model/*', async (req, res) => {
+  const filePath = req.params[0];
+  if (!['.rsm', '.rsm2'].includes(path.extname(filePath).toLowerCase())) {
+    return res.status(400).json({ error: 'Expected an .rsm or .rsm2 path' });
+  }
+  if (req.query.format !== 'glb') {
+    return res.status(400).json({ error: 'Unsupported format (expected format=glb)' });
+  }
+
+  const file = hasEncodedSeparators(req.path) ? null : await Client.resolveFile(filePath);
+  if (!file) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).json({ error: `File not found: ${filePath}` });
+  }
+
+  let glb;
+  try {
+    glb = await Models.getGlb(filePath);
+  } catch (e) {
+    console.error(`Failed to export ${filePath} as glTF: ${e.message}`);
+    return res.status(500).json({ error: `Failed to parse model file: ${e.message}` });
+  }
+
+  if (!glb) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).json({ error: `File not found: ${filePath}` });
+  }
+
+  res.type('model/gltf-binary');
+  const etag = setCacheHeaders(res, filePath, file, { variant: 'glb' });
+  sendContent(req, res, glb, etag);
+});
+
+// Content-addressed file serving: /h/<hash>/<path> (immutable)
+router.get('/h/:hash/*', async (req, res) => {
+  const filePath = req.params[0];
+  if (hasEncodedSeparators(req.path)) {
+    return serveFile(req, res, filePath, null);
+  }
+
+  let file;
+  try {
+    file = await Client.resolveFile(filePath);
+  } catch (e) {
+    return sendReadError(res, filePath, e);
+  }
+
+  // Outdated hash (GRF updated): point to the current URL
+  if (file && file.etag !== req.params.hash) {
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, getHashedUrl(file));
+  }
+
+  return serveFile(req, res, filePath, file, true);
+});
+
+// Favicon of the project root (outside the sandboxed roots of the wildcard route)
+router.get('/favicon.ico', (req, res) => {
+  const faviconPath = path.join(__dirname, '..', '..', 'favicon.ico');
+  if (!fs.existsSync(faviconPath)) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).send('File not found');
+  }
+  res.set('Cache-Control', `public, max-age=${CACHE_DURATIONS.static}`);
+  res.type('ico');
+  return res.send(fs.readFileSync(faviconPath));
+});
+
 // Wildcard route for file serving
 router.get('/*', async (req, res) => {
   const filePath = req.params[0];
@@ -90,8 +683,67 @@ router.get('/*', async (req, res) => {
     return res.send(fs.readFileSync(indexPath, 'utf8'));
   }
 
-  // Get file from GRF or local filesystem
-  const fileContent = await Client.getFile(filePath);
+  // Encoded separators/null bytes are rejected before decoding can hide them
+  if (hasEncodedSeparators(req.path)) {
+    return serveFile(req, res, filePath, null);
+  }
+
+  // Minimaps missing from every GRF are generated from the map's .gat (BMP, or PNG with ?format=png)
+  // Checked without resolving, which would log the minimap as missing
+  const minimapName = Maps.getMinimapName(filePath);
+  if (minimapName && !Client.hasFile(filePath) && Client.hasFile(`data/${minimapName}.gat`)) {
+    return serveMinimap(req, res, minimapName, MINIMAP_SIZE, req.query.format === 'png' ? 'png' : 'bmp');
+  }
+
+  let file;
+  try {
+    file = await Client.resolveFile(filePath);
+  } catch (e) {
+    return sendReadError(res, filePath, e);
+  }
+
+  return serveFile(req, res, filePath, file);
+});
+
+// Serve a resolved file (buffered through the LRU cache, or streamed)
+async function serveFile(req, res, filePath, file, hashed = false) {
+  if (!file) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).send('File not found');
+  }
+
+  // BMP/TGA converted to PNG (?format=png)
+  if (req.query.format === 'png' && isConvertible(filePath)) {
+    return sendConverted(req, res, filePath, file, hashed);
+  }
+
+  // Compressed GRF entries may be served raw, depending on Accept-Encoding
+  const rawDeflate = acceptsRawDeflate(req, file);
+  if (file.source === 'grf' && file.compressedSize !== file.size) {
+    res.vary('Accept-Encoding');
+  }
+
+  // Large files are streamed, small ones go through the LRU cache
+  if (file.size > STREAM_THRESHOLD && file.streamable) {
+    return sendStream(req, res, file, { encoding: rawDeflate ? 'deflate' : null, hashed });
+  }
+
+  // Get file from GRF (stored zlib data or inflated) or local filesystem
+  let fileContent;
+  let encoding;
+  try {
+    fileContent = rawDeflate ? await Client.getRawFile(file) : null;
+    encoding = fileContent ? 'deflate' : null;
+    if (!encoding) {
+      fileContent = await Client.getFile(filePath);
+    }
+  } catch (e) {
+    return sendReadError(res, filePath, e);
+  }
+
+  if (encoding) {
+    res.set('Content-Encoding', encoding);
+  }
 
   if (!fileContent) {
     res.set('Cache-Control', 'no-store');
@@ -102,14 +754,136 @@ router.get('/*', async (req, res) => {
   res.type(path.extname(filePath));
 
   // Set cache headers and get ETag
-  const etag = setCacheHeaders(res, filePath, fileContent);
+  const etag = setCacheHeaders(res, filePath, file, { encoding, hashed });
+
+  sendContent(req, res, fileContent, etag);
+}
+
+// Answer a file that can't be read (corrupt GRF entry, inflate error) with a 500
+function sendReadError(res, filePath, error) {
+  console.error(`Failed to read ${filePath}: ${error.message}`);
+  res.set('Cache-Control', 'no-store');
+  return res.status(500).send(`Failed to read file: ${error.message}`);
+}
+
+// Serve a BMP/TGA as PNG, with the magenta key turned into alpha (cached like the original)
+async function sendConverted(req, res, filePath, file, hashed) {
+  let png;
+  try {
+    png = await Client.getDerivedFile(filePath, 'png', content => convertToPng(content, filePath));
+  } catch (e) {
+    console.error(`Failed to convert ${filePath} to PNG: ${e.message}`);
+    res.set('Cache-Control', 'no-store');
+    return res.status(415).send(`Cannot convert file to PNG: ${e.message}`);
+  }
+
+  if (!png) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).send('File not found');
+  }
+
+  res.type('png');
+  const etag = setCacheHeaders(res, filePath, file, { variant: 'png', hashed });
+
+  sendContent(req, res, png, etag);
+}
+
+// Serve a minimap generated from a map's .gat (cached, ETag derived from the .gat)
+async function serveMinimap(req, res, mapName, size = MINIMAP_SIZE, format = 'png') {
+  const gatPath = `data/${mapName}.gat`;
+  const file = await Client.resolveFile(gatPath);
+  if (!file) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).send('File not found');
+  }
+
+  let image;
+  try {
+    image = await Maps.getMinimap(mapName, size, format);
+  } catch (e) {
+    console.error(`Failed to render minimap for ${mapName}: ${e.message}`);
+    res.set('Cache-Control', 'no-store');
+    return res.status(500).send(`Failed to render minimap: ${e.message}`);
+  }
+
+  if (!image) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).send('File not found');
+  }
+
+  res.type(format);
+  const etag = setCacheHeaders(res, gatPath, file, { variant: `minimap-${size}-${format}` });
+  sendContent(req, res, image, etag);
+}
+
+// Send a buffered representation (304, partial or full content)
+function sendContent(req, res, content, etag) {
+  res.set('Accept-Ranges', 'bytes');
 
   // Check if client has valid cached version (304 Not Modified)
-  if (checkConditionalRequest(req, etag)) {
+  if (checkConditionalRequest(req, etag, res.get('Last-Modified'))) {
     return res.status(304).end();
   }
 
-  res.send(fileContent);
-});
+  // Partial content (audio seeking, resumed downloads)
+  const ranges = parseRangeRequest(req, content.length, res.get('ETag'), res.get('Last-Modified'));
+  if (ranges === -1) {
+    return sendRangeNotSatisfiable(res, content.length);
+  }
+  if (ranges) {
+    return sendRanges(res, content, ranges);
+  }
+
+  res.send(content);
+}
+
+// Stream a resolved file (full or partial content)
+function sendStream(req, res, file, cacheOptions) {
+  const rawDeflate = cacheOptions.encoding === 'deflate';
+  res.type(path.extname(file.path));
+  res.set('Accept-Ranges', 'bytes');
+
+  const etag = setCacheHeaders(res, file.path, file, cacheOptions);
+
+  if (checkConditionalRequest(req, etag, res.get('Last-Modified'))) {
+    return res.status(304).end();
+  }
+
+  const onDone = (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`Error streaming ${file.path}: ${error.message}`);
+    }
+  };
+
+  const ranges = parseRangeRequest(req, file.size, res.get('ETag'), res.get('Last-Modified'));
+  if (ranges === -1) {
+    return sendRangeNotSatisfiable(res, file.size);
+  }
+  if (ranges) {
+    return sendStreamRanges(res, file.size, ranges, (range) => Client.createReadStream(file, range), onDone);
+  }
+
+  if (rawDeflate) {
+    res.set('Content-Encoding', 'deflate');
+    res.set('Content-Length', String(file.compressedSize));
+  } else {
+    res.set('Content-Length', String(file.size));
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  // The file may be gone since it was resolved
+  const stream = rawDeflate ? Client.createRawReadStream(file) : Client.createReadStream(file);
+  if (!stream) {
+    res.removeHeader('Content-Encoding');
+    res.removeHeader('Content-Length');
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).send('File not found');
+  }
+
+  pipeline(stream, res, onDone);
+}
 
 module.exports = router;
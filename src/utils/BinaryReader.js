@@ -0,0 +1,136 @@
+const iconv = require('iconv-lite');
+
+/**
+ * Sequential little-endian reader for RO binary formats (RSW, GND, RSM, SPR, ACT, GAT...)
+ * Fixed-length strings are NUL-terminated and CP949 encoded.
+ */
+class BinaryReader {
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  get length() {
+    return this.buffer.length;
+  }
+
+  /**
+   * Bytes left to read
+   * @returns {number}
+   */
+  remaining() {
+    return this.buffer.length - this.offset;
+  }
+
+  /**
+   * Throw if less than `size` bytes are left
+   * @param {number} size - Bytes about to be read
+   */
+  ensure(size) {
+    if (size < 0 || this.offset + size > this.buffer.length) {
+      throw new RangeError(`Unexpected end of data (offset ${this.offset}, need ${size} bytes)`);
+    }
+  }
+
+  seek(offset) {
+    this.offset = offset;
+  }
+
+  skip(size) {
+    this.ensure(size);
+    this.offset += size;
+  }
+
+  readInt8() {
+    this.ensure(1);
+    return this.buffer.readInt8(this.offset++);
+  }
+
+  readUInt8() {
+    this.ensure(1);
+    return this.buffer.readUInt8(this.offset++);
+  }
+
+  readInt16() {
+    this.ensure(2);
+    const value = this.buffer.readInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  readUInt16() {
+    this.ensure(2);
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  readInt32() {
+    this.ensure(4);
+    const value = this.buffer.readInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  readUInt32() {
+    this.ensure(4);
+    const value = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  readFloat() {
+    this.ensure(4);
+    const value = this.buffer.readFloatLE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * Read several floats
+   * @param {number} count - Number of floats
+   * @returns {Array<number>}
+   */
+  readFloats(count) {
+    const values = new Array(count);
+    for (let i = 0; i < count; i++) {
+      values[i] = this.readFloat();
+    }
+    return values;
+  }
+
+  /**
+   * Read raw bytes
+   * @param {number} size - Number of bytes
+   * @returns {Buffer}
+   */
+  readBytes(size) {
+    this.ensure(size);
+    const bytes = this.buffer.subarray(this.offset, this.offset + size);
+    this.offset += size;
+    return bytes;
+  }
+
+  /**
+   * Read a fixed-length string (stops at the first NUL)
+   * @param {number} size - Field length in bytes
+   * @param {string} encoding - Text encoding (default CP949)
+   * @returns {string}
+   */
+  readString(size, encoding = 'cp949') {
+    const bytes = this.readBytes(size);
+    const end = bytes.indexOf(0);
+    return iconv.decode(end >= 0 ? bytes.subarray(0, end) : bytes, encoding);
+  }
+
+  /**
+   * Read a string prefixed with its int32 length
+   * @param {string} encoding - Text encoding (default CP949)
+   * @returns {string}
+   */
+  readLengthString(encoding = 'cp949') {
+    return this.readString(this.readInt32(), encoding);
+  }
+}
+
+module.exports = BinaryReader;
@@ -0,0 +1,247 @@
+/**
+ * Minimal binary glTF 2.0 (.glb) writer
+ * Meshes (positions, UVs, indices), PNG/JPEG textures, materials, a node hierarchy
+ * and node animations (translation, rotation, scale).
+ */
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a; // "JSON"
+const CHUNK_BIN = 0x004e4942; // "BIN\0"
+
+const COMPONENT_TYPES = {
+  Float32Array: 5126,
+  Uint16Array: 5123,
+  Uint32Array: 5125,
+};
+
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+const TARGET_ARRAY_BUFFER = 34962;
+const TARGET_ELEMENT_ARRAY_BUFFER = 34963;
+
+// Sampler: linear filtering, repeat (RO textures tile)
+const SAMPLER_REPEAT = { magFilter: 9729, minFilter: 9987, wrapS: 10497, wrapT: 10497 };
+
+class GltfBuilder {
+  constructor() {
+    this.json = {
+      asset: { version: '2.0', generator: 'roBrowser Remote Client' },
+      scene: 0,
+      scenes: [{ nodes: [] }],
+      nodes: [],
+      meshes: [],
+      animations: [],
+      materials: [],
+      textures: [],
+      images: [],
+      samplers: [SAMPLER_REPEAT],
+      accessors: [],
+      bufferViews: [],
+      buffers: [],
+    };
+    this.chunks = [];
+    this.byteLength = 0;
+  }
+
+  /**
+   * Append data to the binary chunk (4-byte aligned)
+   * @returns {number} - bufferView index
+   */
+  addBufferView(data, target) {
+    const padding = (4 - (this.byteLength % 4)) % 4;
+    if (padding) {
+      this.chunks.push(Buffer.alloc(padding));
+      this.byteLength += padding;
+    }
+
+    const view = { buffer: 0, byteOffset: this.byteLength, byteLength: data.length };
+    if (target) view.target = target;
+
+    this.chunks.push(data);
+    this.byteLength += data.length;
+    return this.json.bufferViews.push(view) - 1;
+  }
+
+  /**
+   * Add an accessor over a typed array
+   * @param {TypedArray} array - Float32Array, Uint16Array or Uint32Array
+   * @param {string} type - SCALAR, VEC2, VEC3 or VEC4
+   * @param {Object} [options]
+   * @param {number} [options.target] - Buffer view target (vertex or index data)
+   * @param {boolean} [options.bounds=false] - Store min/max (positions, animation times)
+   * @returns {number} - accessor index
+   */
+  addAccessor(array, type, { target, bounds = false } = {}) {
+    const data = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+    const bufferView = this.addBufferView(data, target);
+    const size = TYPE_SIZES[type];
+
+    const accessor = {
+      bufferView,
+      componentType: COMPONENT_TYPES[array.constructor.name],
+      count: array.length / size,
+      type,
+    };
+
+    if (bounds) {
+      const min = new Array(size).fill(Infinity);
+      const max = new Array(size).fill(-Infinity);
+      for (let i = 0; i < array.length; i += size) {
+        for (let j = 0; j < size; j++) {
+          if (array[i + j] < min[j]) min[j] = array[i + j];
+          if (array[i + j] > max[j]) max[j] = array[i + j];
+        }
+      }
+      accessor.min = min;
+      accessor.max = max;
+    }
+
+    return this.json.accessors.push(accessor) - 1;
+  }
+
+  /**
+   * Add an image and its texture
+   * @param {Buffer} data - PNG or JPEG content
+   * @param {string} mimeType - image/png or image/jpeg
+   * @param {string} [name]
+   * @returns {number} - texture index
+   */
+  addTexture(data, mimeType, name) {
+    const bufferView = this.addBufferView(data);
+    const image = this.json.images.push({ bufferView, mimeType, name }) - 1;
+    return this.json.textures.push({ sampler: 0, source: image }) - 1;
+  }
+
+  /**
+   * Add a material
+   * @param {Object} options
+   * @param {string} [options.name]
+   * @param {number|null} [options.texture] - Texture index (untextured if null)
+   * @param {boolean} [options.doubleSided=true]
+   * @param {string} [options.alphaMode='MASK'] - OPAQUE, MASK or BLEND
+   * @returns {number} - material index
+   */
+  addMaterial({ name, texture = null, doubleSided = true, alphaMode = 'MASK' } = {}) {
+    const material = {
+      name,
+      pbrMetallicRoughness: { metallicFactor: 0, roughnessFactor: 1 },
+      doubleSided,
+    };
+
+    if (texture !== null) {
+      material.pbrMetallicRoughness.baseColorTexture = { index: texture };
+      material.alphaMode = alphaMode;
+      if (alphaMode === 'MASK') material.alphaCutoff = 0.5;
+    } else {
+      material.pbrMetallicRoughness.baseColorFactor = [0.6, 0.6, 0.6, 1];
+    }
+
+    return this.json.materials.push(material) - 1;
+  }
+
+  /**
+   * Add a mesh
+   * @param {string} name
+   * @param {Array<Object>} primitives - [{ positions: Float32Array, uvs: Float32Array, indices: Array, material }]
+   * @returns {number|null} - mesh index, null if every primitive is empty
+   */
+  addMesh(name, primitives) {
+    const gltfPrimitives = primitives
+      .filter(primitive => primitive.indices.length > 0)
+      .map(primitive => {
+        const vertexCount = primitive.positions.length / 3;
+        const IndexArray = vertexCount > 65535 ? Uint32Array : Uint16Array;
+        return {
+          attributes: {
+            POSITION: this.addAccessor(primitive.positions, 'VEC3', { target: TARGET_ARRAY_BUFFER, bounds: true }),
+            TEXCOORD_0: this.addAccessor(primitive.uvs, 'VEC2', { target: TARGET_ARRAY_BUFFER }),
+          },
+          indices: this.addAccessor(IndexArray.from(primitive.indices), 'SCALAR', { target: TARGET_ELEMENT_ARRAY_BUFFER }),
+          material: primitive.material,
+        };
+      });
+
+    if (gltfPrimitives.length === 0) {
+      return null;
+    }
+    return this.json.meshes.push({ name, primitives: gltfPrimitives }) - 1;
+  }
+
+  /**
+   * Add a node
+   * @param {Object} node - glTF node (name, mesh, matrix, translation, rotation, scale, children)
+   * @param {boolean} [root=false] - Add to the scene
+   * @returns {number} - node index
+   */
+  addNode(node, root = false) {
+    const index = this.json.nodes.push(node) - 1;
+    if (root) this.json.scenes[0].nodes.push(index);
+    return index;
+  }
+
+  /**
+   * Add an animation
+   * @param {string} name
+   * @param {Array<Object>} channels - [{ node, path: 'translation'|'rotation'|'scale', times: Float32Array (seconds), values: Float32Array }]
+   * @returns {number|null} - animation index, null if there are no channels
+   */
+  addAnimation(name, channels) {
+    if (channels.length === 0) {
+      return null;
+    }
+
+    const animation = { name, samplers: [], channels: [] };
+    for (const channel of channels) {
+      const sampler = animation.samplers.push({
+        input: this.addAccessor(channel.times, 'SCALAR', { bounds: true }),
+        output: this.addAccessor(channel.values, channel.path === 'rotation' ? 'VEC4' : 'VEC3'),
+        interpolation: 'LINEAR',
+      }) - 1;
+      animation.channels.push({ sampler, target: { node: channel.node, path: channel.path } });
+    }
+
+    return this.json.animations.push(animation) - 1;
+  }
+
+  /**
+   * Serialize to .glb
+   * @returns {Buffer}
+   */
+  toGlb() {
+    const padding = (4 - (this.byteLength % 4)) % 4;
+    const bin = Buffer.concat([...this.chunks, Buffer.alloc(padding)]);
+
+    const json = { ...this.json, buffers: bin.length ? [{ byteLength: bin.length }] : [] };
+
+    // Empty top-level arrays are invalid
+    for (const key of Object.keys(json)) {
+      if (Array.isArray(json[key]) && json[key].length === 0) delete json[key];
+    }
+    if (!json.textures) delete json.samplers;
+
+    let jsonChunk = Buffer.from(JSON.stringify(json));
+    const jsonPadding = (4 - (jsonChunk.length % 4)) % 4;
+    jsonChunk = Buffer.concat([jsonChunk, Buffer.alloc(jsonPadding, 0x20)]);
+
+    const jsonHeader = Buffer.alloc(8);
+    jsonHeader.writeUInt32LE(jsonChunk.length, 0);
+    jsonHeader.writeUInt32LE(CHUNK_JSON, 4);
+
+    const parts = [jsonHeader, jsonChunk];
+    if (bin.length) {
+      const binHeader = Buffer.alloc(8);
+      binHeader.writeUInt32LE(bin.length, 0);
+      binHeader.writeUInt32LE(CHUNK_BIN, 4);
+      parts.push(binHeader, bin);
+    }
+
+    const header = Buffer.alloc(12);
+    header.writeUInt32LE(GLB_MAGIC, 0);
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(12 + parts.reduce((sum, part) => sum + part.length, 0), 8);
+
+    return Buffer.concat([header, ...parts]);
+  }
+}
+
+module.exports = GltfBuilder;
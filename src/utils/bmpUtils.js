@@ -1,64 +1,298 @@
-const { createCanvas, loadImage } = require('canvas');
+/**
+ * Pure JS BMP decoder and encoder
+ * Decodes 1/4/8-bit palettized (including RLE4/RLE8), 16, 24 and 32-bit bitmaps,
+ * bottom-up and top-down. Encodes 24-bit bitmaps.
+ */
+
+const BI_RGB = 0;
+const BI_RLE8 = 1;
+const BI_RLE4 = 2;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+// Largest image decoded (4096x4096 → 64 MB of RGBA), well above any client texture
+const MAX_PIXELS = 4096 * 4096;
 
 /**
- * Cria uma imagem a partir de um buffer BMP.
+ * Decode a BMP file to RGBA pixels
  *
- * @param {Buffer} buffer - O buffer contendo os dados BMP.
- * @returns {Canvas} - A imagem criada a partir do BMP.
+ * @param {Buffer} buffer - BMP file content
+ * @returns {Object} - { width, height, data: Buffer (RGBA, top-down), hasAlpha }
  */
-function imagecreatefrombmp(buffer) {
-  // Verificar se o buffer é válido
-  if (!buffer || buffer.length < 54) {
+function decodeBmp(buffer) {
+  if (!buffer || buffer.length < 26) {
     throw new Error('Invalid BMP file');
   }
 
-  // Verificar assinatura do BMP
-  const signature = buffer.toString('utf-8', 0, 2);
-  if (signature !== 'BM') {
+  if (buffer.toString('ascii', 0, 2) !== 'BM') {
     throw new Error('Not a BMP file');
   }
 
-  // Ler cabeçalho do BMP
-  const fileSize = buffer.readUInt32LE(2);
   const dataOffset = buffer.readUInt32LE(10);
   const headerSize = buffer.readUInt32LE(14);
-  const width = buffer.readInt32LE(18);
-  const height = buffer.readInt32LE(22);
-  const planes = buffer.readUInt16LE(26);
-  const bitsPerPixel = buffer.readUInt16LE(28);
 
-  if (planes !== 1 || bitsPerPixel !== 24) {
-    throw new Error('Unsupported BMP format: Only 24-bit BMP files are supported');
+  let width;
+  let height;
+  let bitsPerPixel;
+  let compression = BI_RGB;
+  let colorsUsed = 0;
+  let paletteEntrySize = 4;
+
+  if (headerSize === 12) {
+    // OS/2 BITMAPCOREHEADER
+    width = buffer.readUInt16LE(18);
+    height = buffer.readInt16LE(20);
+    bitsPerPixel = buffer.readUInt16LE(24);
+    paletteEntrySize = 3;
+  } else {
+    width = buffer.readInt32LE(18);
+    height = buffer.readInt32LE(22);
+    bitsPerPixel = buffer.readUInt16LE(28);
+    compression = buffer.readUInt32LE(30);
+    colorsUsed = buffer.readUInt32LE(46);
+  }
+
+  const topDown = height < 0;
+  height = Math.abs(height);
+
+  if (width <= 0 || height === 0 || width * height > MAX_PIXELS) {
+    throw new Error(`Invalid BMP dimensions: ${width}x${height}`);
   }
 
-  // Cria um canvas e um contexto para desenhar a imagem
-  const canvas = createCanvas(width, height);
-  const ctx = canvas.getContext('2d');
-  const imageData = ctx.createImageData(width, height);
+  // Palette
+  let palette = null;
+  if (bitsPerPixel <= 8) {
+    const count = colorsUsed || (1 << bitsPerPixel);
+    const paletteOffset = 14 + headerSize;
+    palette = new Array(count);
+    for (let i = 0; i < count; i++) {
+      const p = paletteOffset + i * paletteEntrySize;
+      palette[i] = p + 2 < buffer.length ? [buffer[p + 2], buffer[p + 1], buffer[p]] : [0, 0, 0];
+    }
+  }
+
+  const data = Buffer.alloc(width * height * 4);
+  let hasAlpha = false;
+
+  // Row y of the file → row of the output image
+  const rowIndex = (y) => (topDown ? y : height - 1 - y);
+
+  const setIndexed = (x, y, index) => {
+    if (x >= width || y >= height) return;
+    const color = palette[index] || [0, 0, 0];
+    const o = (rowIndex(y) * width + x) * 4;
+    data[o] = color[0];
+    data[o + 1] = color[1];
+    data[o + 2] = color[2];
+    data[o + 3] = 255;
+  };
+
+  if (compression === BI_RLE8 || compression === BI_RLE4) {
+    decodeRle(buffer, dataOffset, compression === BI_RLE4, setIndexed);
+    return { width, height, data, hasAlpha: false };
+  }
+
+  if (compression !== BI_RGB && compression !== BI_BITFIELDS && compression !== BI_ALPHABITFIELDS) {
+    throw new Error(`Unsupported BMP compression: ${compression}`);
+  }
 
-  // Calcula o padding por linha (os dados BMP são alinhados a 4 bytes)
   const rowSize = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
-  const padding = rowSize - (width * 3);
+  if (dataOffset + rowSize * height > buffer.length) {
+    throw new Error('Truncated BMP file');
+  }
+
+  // Channel masks for 16/32-bit images
+  let masks = null;
+  if (bitsPerPixel === 16 || bitsPerPixel === 32) {
+    if (compression === BI_BITFIELDS || compression === BI_ALPHABITFIELDS) {
+      masks = {
+        r: buffer.readUInt32LE(54),
+        g: buffer.readUInt32LE(58),
+        b: buffer.readUInt32LE(62),
+        a: compression === BI_ALPHABITFIELDS || headerSize >= 56 ? buffer.readUInt32LE(66) : 0,
+      };
+    } else if (bitsPerPixel === 16) {
+      masks = { r: 0x7c00, g: 0x03e0, b: 0x001f, a: 0 };
+    } else {
+      masks = { r: 0x00ff0000, g: 0x0000ff00, b: 0x000000ff, a: 0xff000000 };
+    }
+  }
+  const channels = masks ? {
+    r: maskInfo(masks.r),
+    g: maskInfo(masks.g),
+    b: maskInfo(masks.b),
+    a: maskInfo(masks.a),
+  } : null;
 
-  let pixelArrayOffset = dataOffset;
   for (let y = 0; y < height; y++) {
+    const row = dataOffset + y * rowSize;
+    const out = rowIndex(y) * width * 4;
+
     for (let x = 0; x < width; x++) {
-      const pixelIndex = (y * width + x) * 4;
-      const bufferIndex = pixelArrayOffset + (x * 3);
-
-      // BMP armazena as cores no formato BGR
-      imageData.data[pixelIndex] = buffer[bufferIndex + 2]; // Red
-      imageData.data[pixelIndex + 1] = buffer[bufferIndex + 1]; // Green
-      imageData.data[pixelIndex + 2] = buffer[bufferIndex]; // Blue
-      imageData.data[pixelIndex + 3] = 255; // Alpha (fully opaque)
+      const o = out + x * 4;
+
+      switch (bitsPerPixel) {
+        case 1:
+        case 4:
+        case 8: {
+          const bitOffset = x * bitsPerPixel;
+          const byte = buffer[row + (bitOffset >> 3)];
+          const shift = 8 - bitsPerPixel - (bitOffset & 7);
+          const index = (byte >> shift) & ((1 << bitsPerPixel) - 1);
+          const color = palette[index] || [0, 0, 0];
+          data[o] = color[0];
+          data[o + 1] = color[1];
+          data[o + 2] = color[2];
+          data[o + 3] = 255;
+          break;
+        }
+
+        case 24: {
+          const p = row + x * 3;
+          data[o] = buffer[p + 2];
+          data[o + 1] = buffer[p + 1];
+          data[o + 2] = buffer[p];
+          data[o + 3] = 255;
+          break;
+        }
+
+        case 16:
+        case 32: {
+          const value = bitsPerPixel === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4);
+          data[o] = readChannel(value, channels.r);
+          data[o + 1] = readChannel(value, channels.g);
+          data[o + 2] = readChannel(value, channels.b);
+          data[o + 3] = channels.a.mask ? readChannel(value, channels.a) : 255;
+          if (data[o + 3] !== 255) hasAlpha = true;
+          break;
+        }
+
+        default:
+          throw new Error(`Unsupported BMP bit depth: ${bitsPerPixel}`);
+      }
     }
-    pixelArrayOffset += rowSize;
   }
 
-  // Colocar os dados da imagem no canvas
-  ctx.putImageData(imageData, 0, 0);
+  // 32-bit files with an all-zero alpha channel are opaque
+  if (bitsPerPixel === 32 && hasAlpha && isAlphaEmpty(data)) {
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    hasAlpha = false;
+  }
+
+  return { width, height, data, hasAlpha };
+}
+
+/**
+ * Decode RLE4/RLE8 pixel data
+ */
+function decodeRle(buffer, offset, isRle4, setPixel) {
+  let x = 0;
+  let y = 0;
+  let p = offset;
+
+  while (p + 1 < buffer.length) {
+    const count = buffer[p++];
+    const value = buffer[p++];
+
+    if (count > 0) {
+      // Encoded run
+      for (let i = 0; i < count; i++) {
+        const index = isRle4 ? (i % 2 === 0 ? value >> 4 : value & 0x0f) : value;
+        setPixel(x++, y, index);
+      }
+      continue;
+    }
+
+    if (value === 0) {
+      // End of line
+      x = 0;
+      y++;
+    } else if (value === 1) {
+      // End of bitmap
+      break;
+    } else if (value === 2) {
+      // Delta
+      x += buffer[p++];
+      y += buffer[p++];
+    } else {
+      // Absolute run (padded to 16 bits)
+      const bytes = isRle4 ? Math.ceil(value / 2) : value;
+      for (let i = 0; i < value; i++) {
+        const byte = buffer[p + (isRle4 ? i >> 1 : i)];
+        const index = isRle4 ? (i % 2 === 0 ? byte >> 4 : byte & 0x0f) : byte;
+        setPixel(x++, y, index);
+      }
+      p += bytes + (bytes & 1);
+    }
+  }
+}
+
+function maskInfo(mask) {
+  if (!mask) return { mask: 0, shift: 0, max: 1 };
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  let bits = 0;
+  while (((mask >>> (shift + bits)) & 1) === 1) bits++;
+  return { mask, shift, max: (2 ** bits) - 1 };
+}
+
+function readChannel(value, channel) {
+  if (!channel.mask) return 0;
+  return Math.round((((value & channel.mask) >>> 0) >>> channel.shift) * 255 / channel.max);
+}
+
+function isAlphaEmpty(data) {
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Encode RGBA pixels as a 24-bit bottom-up BMP, like the client's own images
+ * Transparent pixels are written as the client's magenta color key (255, 0, 255)
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Buffer} rgba - Pixel data (RGBA, top-down, width * height * 4 bytes)
+ * @returns {Buffer} - BMP file content
+ */
+function encodeBmp(width, height, rgba) {
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const dataOffset = 14 + 40;
+  const buffer = Buffer.alloc(dataOffset + rowSize * height);
+
+  // BITMAPFILEHEADER
+  buffer.write('BM', 0, 'ascii');
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(dataOffset, 10);
+
+  // BITMAPINFOHEADER
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(height, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(24, 28);
+  buffer.writeUInt32LE(BI_RGB, 30);
+  buffer.writeUInt32LE(rowSize * height, 34);
+
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const o = row + x * 3;
+      if (rgba[i + 3] < 128) {
+        buffer[o] = 255;
+        buffer[o + 2] = 255;
+      } else {
+        buffer[o] = rgba[i + 2];
+        buffer[o + 1] = rgba[i + 1];
+        buffer[o + 2] = rgba[i];
+      }
+    }
+  }
 
-  return canvas;
+  return buffer;
 }
 
-module.exports = { imagecreatefrombmp };
+module.exports = { decodeBmp, encodeBmp };
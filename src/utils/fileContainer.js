@@ -0,0 +1,57 @@
+/**
+ * Binary container used to send several files in one response
+ *
+ * Layout (little-endian):
+ *   char[4]  magic "RBF1"
+ *   uint32   entry count
+ *   entry table, for each entry:
+ *     uint16   path length (bytes)
+ *     byte[]   path (UTF-8)
+ *     uint8    status (see STATUS)
+ *     uint32   data length
+ *   data: file contents, concatenated in table order
+ */
+
+const MAGIC = 'RBF1';
+
+const STATUS = {
+  OK: 0,
+  NOT_FOUND: 1,
+  INVALID_PATH: 2,
+  SKIPPED: 3, // size limit reached
+};
+
+/**
+ * Build a container
+ * @param {Array} entries - [{ path, status, data }] (data is ignored unless status is OK)
+ * @returns {Buffer}
+ */
+function buildContainer(entries) {
+  const table = [];
+  const data = [];
+
+  const header = Buffer.alloc(8);
+  header.write(MAGIC, 0, 'ascii');
+  header.writeUInt32LE(entries.length, 4);
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.path, 'utf8');
+    const content = entry.status === STATUS.OK && entry.data ? entry.data : null;
+
+    const meta = Buffer.alloc(2 + name.length + 1 + 4);
+    meta.writeUInt16LE(name.length, 0);
+    name.copy(meta, 2);
+    meta.writeUInt8(entry.status, 2 + name.length);
+    meta.writeUInt32LE(content ? content.length : 0, 3 + name.length);
+
+    table.push(meta);
+    if (content) data.push(content);
+  }
+
+  return Buffer.concat([header, ...table, ...data]);
+}
+
+module.exports = {
+  STATUS,
+  buildContainer,
+};
@@ -0,0 +1,167 @@
+/**
+ * Minimal animated GIF encoder (GIF89a, global color table, LZW)
+ *
+ * Pixels with alpha < 128 become transparent (index 0). Frames with up to 255
+ * distinct colors are exact (the usual case for palettized sprites); beyond that
+ * colors are reduced to a fixed 6x7x6 color cube.
+ */
+
+const MAX_CODE = 4096;
+const ALPHA_THRESHOLD = 128;
+
+/**
+ * Build the color table and the color → index lookup for every frame
+ */
+function buildColorTable(frames) {
+  const colors = new Map();
+  for (const { rgba } of frames) {
+    for (let i = 0; i < rgba.length; i += 4) {
+      if (rgba[i + 3] < ALPHA_THRESHOLD) continue;
+      const key = (rgba[i] << 16) | (rgba[i + 1] << 8) | rgba[i + 2];
+      if (!colors.has(key)) {
+        colors.set(key, colors.size + 1);
+        if (colors.size > 255) return buildColorCube();
+      }
+    }
+  }
+
+  const table = [[0, 0, 0]];
+  for (const key of colors.keys()) {
+    table.push([(key >> 16) & 0xff, (key >> 8) & 0xff, key & 0xff]);
+  }
+  return { table, lookup: (r, g, b) => colors.get((r << 16) | (g << 8) | b) };
+}
+
+function buildColorCube() {
+  const table = [[0, 0, 0]];
+  for (let r = 0; r < 6; r++) {
+    for (let g = 0; g < 7; g++) {
+      for (let b = 0; b < 6; b++) {
+        table.push([Math.round(r * 255 / 5), Math.round(g * 255 / 6), Math.round(b * 255 / 5)]);
+      }
+    }
+  }
+  const lookup = (r, g, b) => 1 + Math.round(r * 5 / 255) * 42 + Math.round(g * 6 / 255) * 6 + Math.round(b * 5 / 255);
+  return { table, lookup };
+}
+
+/**
+ * LZW-compress color indices, split in sub-blocks of up to 255 bytes
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const dictionary = new Map();
+  const bytes = [];
+
+  let codeSize = minCodeSize + 1;
+  let maxCode = (1 << codeSize) - 1;
+  let nextCode = endCode + 1;
+  let clearing = false;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const write = code => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+
+    // Code size grows once the next code no longer fits (the decoder follows the same rule)
+    if (clearing) {
+      codeSize = minCodeSize + 1;
+      maxCode = (1 << codeSize) - 1;
+      clearing = false;
+    } else if (nextCode > maxCode && codeSize < 12) {
+      codeSize++;
+      maxCode = codeSize === 12 ? MAX_CODE : (1 << codeSize) - 1;
+    }
+  };
+
+  write(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    if (dictionary.has(key)) {
+      prefix = dictionary.get(key);
+      continue;
+    }
+
+    write(prefix);
+    if (nextCode < MAX_CODE) {
+      dictionary.set(key, nextCode++);
+    } else {
+      dictionary.clear();
+      nextCode = endCode + 1;
+      clearing = true;
+      write(clearCode);
+    }
+    prefix = indices[i];
+  }
+  write(prefix);
+  write(endCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+  const blocks = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.slice(i, i + 255);
+    blocks.push(block.length, ...block);
+  }
+  blocks.push(0);
+  return Buffer.from(blocks);
+}
+
+/**
+ * Encode full-size RGBA frames as an animated GIF
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<Object>} frames - [{ rgba, delay }] (delay in ms, rounded to 10ms, at least 20ms)
+ * @param {number} [loops=0] - Number of repetitions, 0 = infinite
+ * @returns {Buffer} - GIF file content
+ */
+function encodeGif(width, height, frames, loops = 0) {
+  const { table, lookup } = buildColorTable(frames);
+
+  // Color table size: power of two, at least 4 (LZW minimum code size is 2)
+  let bits = 2;
+  while ((1 << bits) < table.length) bits++;
+
+  const screen = Buffer.alloc(7);
+  screen.writeUInt16LE(width, 0);
+  screen.writeUInt16LE(height, 2);
+  screen[4] = 0x80 | 0x70 | (bits - 1); // global color table, 8-bit color resolution
+
+  const colorTable = Buffer.alloc(3 << bits);
+  table.forEach((color, i) => colorTable.set(color, i * 3));
+
+  const loop = Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0'), 0x03, 0x01, loops & 0xff, (loops >> 8) & 0xff, 0x00]);
+
+  const parts = [Buffer.from('GIF89a'), screen, colorTable, loop];
+
+  for (const frame of frames) {
+    const control = Buffer.from([0x21, 0xf9, 0x04, (2 << 2) | 0x01, 0, 0, 0, 0x00]); // dispose: background, transparent index 0
+    control.writeUInt16LE(Math.max(2, Math.round(frame.delay / 10)), 4);
+
+    const descriptor = Buffer.alloc(10);
+    descriptor[0] = 0x2c;
+    descriptor.writeUInt16LE(width, 5);
+    descriptor.writeUInt16LE(height, 7);
+
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+      const o = i * 4;
+      indices[i] = frame.rgba[o + 3] < ALPHA_THRESHOLD ? 0 : lookup(frame.rgba[o], frame.rgba[o + 1], frame.rgba[o + 2]);
+    }
+
+    parts.push(control, descriptor, Buffer.from([bits]), lzwEncode(indices, bits));
+  }
+
+  parts.push(Buffer.from([0x3b]));
+  return Buffer.concat(parts);
+}
+
+module.exports = { encodeGif };
@@ -0,0 +1,68 @@
+const path = require('path');
+const { decodeBmp } = require('./bmpUtils');
+const { decodeTga } = require('./tgaUtils');
+const { encodePng } = require('./pngUtils');
+
+/**
+ * Image transcoding for browsers (BMP/TGA → PNG)
+ */
+
+// Extensions that can be converted with ?format=png
+const CONVERTIBLE_EXTENSIONS = ['.bmp', '.tga'];
+
+/**
+ * Check if a file can be converted to PNG
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+function isConvertible(filePath) {
+  return CONVERTIBLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Replace the RO transparency key (magenta) with alpha
+ * Same tolerance as the client: compressed/resampled BMPs are rarely exactly #FF00FF
+ * @param {Buffer} rgba - Pixel data (RGBA), modified in place
+ */
+function applyMagentaKey(rgba) {
+  for (let i = 0; i < rgba.length; i += 4) {
+    if (rgba[i] > 230 && rgba[i + 1] < 20 && rgba[i + 2] > 230) {
+      rgba[i] = 0;
+      rgba[i + 1] = 0;
+      rgba[i + 2] = 0;
+      rgba[i + 3] = 0;
+    }
+  }
+}
+
+/**
+ * Convert a BMP or TGA file to PNG
+ * The magenta key applies to BMPs and to TGAs without their own alpha channel
+ * @param {Buffer} buffer - Image content
+ * @param {string} filePath - File path (used for the format)
+ * @returns {Buffer} - PNG content
+ */
+function convertToPng(buffer, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  let image;
+  if (ext === '.bmp') {
+    image = decodeBmp(buffer);
+  } else if (ext === '.tga') {
+    image = decodeTga(buffer);
+  } else {
+    throw new Error(`Unsupported image format: ${ext}`);
+  }
+
+  if (!image.hasAlpha) {
+    applyMagentaKey(image.data);
+  }
+
+  return encodePng(image.width, image.height, image.data);
+}
+
+module.exports = {
+  isConvertible,
+  applyMagentaKey,
+  convertToPng,
+};
@@ -0,0 +1,110 @@
+const zlib = require('zlib');
+
+/**
+ * rAthena map cache (db/map_cache.dat)
+ *
+ * Layout (little-endian):
+ *   uint32 file_size, uint16 map_count, 2 bytes padding
+ *   Per map: char name[12], int16 xs, int16 ys, int32 len, zlib data (len bytes)
+ *   The zlib data holds one byte per cell: the GAT cell type
+ */
+
+const HEADER_SIZE = 8;
+const MAP_INFO_SIZE = 20;
+const MAP_NAME_LENGTH = 12;
+
+/**
+ * Build map_cache.dat
+ * @param {Array<Object>} maps - [{ name, xs, ys, cells: Buffer }]
+ * @returns {Buffer}
+ */
+function buildMapCache(maps) {
+  const parts = [];
+  let size = HEADER_SIZE;
+
+  for (const map of maps) {
+    const data = zlib.deflateSync(map.cells);
+    const info = Buffer.alloc(MAP_INFO_SIZE);
+    info.write(map.name, 0, MAP_NAME_LENGTH - 1, 'ascii');
+    info.writeInt16LE(map.xs, 12);
+    info.writeInt16LE(map.ys, 14);
+    info.writeInt32LE(data.length, 16);
+    parts.push(info, data);
+    size += MAP_INFO_SIZE + data.length;
+  }
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt32LE(size, 0);
+  header.writeUInt16LE(maps.length, 4);
+
+  return Buffer.concat([header, ...parts], size);
+}
+
+/**
+ * Read map_cache.dat
+ * @param {Buffer} buffer - File content
+ * @returns {Array<Object>} - [{ name, xs, ys, cells: Buffer }]
+ */
+function parseMapCache(buffer) {
+  if (buffer.length < HEADER_SIZE || buffer.readUInt32LE(0) !== buffer.length) {
+    throw new Error('Invalid map cache (size mismatch)');
+  }
+
+  const count = buffer.readUInt16LE(4);
+  const maps = [];
+  let offset = HEADER_SIZE;
+
+  for (let i = 0; i < count; i++) {
+    if (offset + MAP_INFO_SIZE > buffer.length) {
+      throw new Error('Truncated map cache');
+    }
+    const nameBytes = buffer.subarray(offset, offset + MAP_NAME_LENGTH);
+    const end = nameBytes.indexOf(0);
+    const name = nameBytes.toString('ascii', 0, end >= 0 ? end : MAP_NAME_LENGTH);
+    const xs = buffer.readInt16LE(offset + 12);
+    const ys = buffer.readInt16LE(offset + 14);
+    const len = buffer.readInt32LE(offset + 16);
+    offset += MAP_INFO_SIZE;
+
+    if (offset + len > buffer.length) {
+      throw new Error(`Truncated map cache (${name})`);
+    }
+    const cells = zlib.inflateSync(buffer.subarray(offset, offset + len));
+    offset += len;
+
+    maps.push({ name, xs, ys, cells });
+  }
+
+  return maps;
+}
+
+/**
+ * Parse a maps_athena.conf style list ("map: <name>", "import: <file>", // comments)
+ * @param {string} content - File content
+ * @returns {Object} - { maps: [names], imports: [paths] }
+ */
+function parseMapList(content) {
+  const maps = [];
+  const imports = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/\/\/.*$/, '').trim();
+    const match = line.match(/^(map|import)\s*:\s*(\S+)/i);
+    if (!match) continue;
+
+    if (match[1].toLowerCase() === 'map') {
+      maps.push(match[2]);
+    } else {
+      imports.push(match[2]);
+    }
+  }
+
+  return { maps, imports };
+}
+
+module.exports = {
+  MAP_NAME_LENGTH,
+  buildMapCache,
+  parseMapCache,
+  parseMapList,
+};
@@ -0,0 +1,371 @@
+/**
+ * Mesh building for GND terrain and RSM models (for glTF export)
+ * Same conventions as the client renderer: 1 cell = 2 units, heights and model
+ * coordinates divided by 5, Y pointing down.
+ * Matrices are 4x4, column-major (glTF order).
+ */
+
+/**
+ * Collects vertices per texture
+ */
+class MeshGroups {
+  constructor() {
+    this.groups = new Map();
+  }
+
+  get(texture) {
+    if (!this.groups.has(texture)) {
+      this.groups.set(texture, { positions: [], uvs: [], indices: [] });
+    }
+    return this.groups.get(texture);
+  }
+
+  /**
+   * Add a triangle
+   * @param {number} texture - Texture index
+   * @param {Array} vertices - [[x, y, z], ...] (3)
+   * @param {Array} uvs - [[u, v], ...] (3)
+   */
+  addTriangle(texture, vertices, uvs) {
+    const group = this.get(texture);
+    const base = group.positions.length / 3;
+    for (let i = 0; i < 3; i++) {
+      group.positions.push(vertices[i][0], vertices[i][1], vertices[i][2]);
+      group.uvs.push(uvs[i][0], uvs[i][1]);
+    }
+    group.indices.push(base, base + 1, base + 2);
+  }
+
+  /**
+   * Add a quad (two triangles sharing 4 vertices)
+   */
+  addQuad(texture, vertices, uvs) {
+    const group = this.get(texture);
+    const base = group.positions.length / 3;
+    for (let i = 0; i < 4; i++) {
+      group.positions.push(vertices[i][0], vertices[i][1], vertices[i][2]);
+      group.uvs.push(uvs[i][0], uvs[i][1]);
+    }
+    group.indices.push(base, base + 1, base + 2, base + 2, base + 3, base);
+  }
+
+  /**
+   * @returns {Array<Object>} - [{ texture, positions: Float32Array, uvs: Float32Array, indices }]
+   */
+  toArray() {
+    return Array.from(this.groups.entries()).map(([texture, group]) => ({
+      texture,
+      positions: Float32Array.from(group.positions),
+      uvs: Float32Array.from(group.uvs),
+      indices: group.indices,
+    }));
+  }
+}
+
+/**
+ * Build the terrain mesh of a GND: top surfaces, front and right walls
+ * @param {Object} gnd - Parsed GND (see src/parsers/gndParser.js)
+ * @returns {Array<Object>} - Primitives per GND texture index
+ */
+function buildGroundMesh(gnd) {
+  const { width, height, cells, surfaces } = gnd;
+  const mesh = new MeshGroups();
+
+  const heightsOf = cell => cell.heights.map(h => h / 5);
+  const uvsOf = surface => [0, 1, 2, 3].map(i => [surface.u[i], surface.v[i]]);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const cell = cells[y * width + x];
+      const h = heightsOf(cell);
+
+      // Top surface
+      const up = surfaces[cell.tileUp];
+      if (cell.tileUp > -1 && up) {
+        const uv = uvsOf(up);
+        mesh.addQuad(up.textureIndex, [
+          [x * 2, h[0], y * 2],
+          [(x + 1) * 2, h[1], y * 2],
+          [(x + 1) * 2, h[3], (y + 1) * 2],
+          [x * 2, h[2], (y + 1) * 2],
+        ], [uv[0], uv[1], uv[3], uv[2]]);
+      }
+
+      // Wall towards the next row
+      const front = surfaces[cell.tileFront];
+      if (cell.tileFront > -1 && front && y + 1 < height) {
+        const hb = heightsOf(cells[(y + 1) * width + x]);
+        const uv = uvsOf(front);
+        mesh.addQuad(front.textureIndex, [
+          [x * 2, h[2], (y + 1) * 2],
+          [(x + 1) * 2, h[3], (y + 1) * 2],
+          [(x + 1) * 2, hb[1], (y + 1) * 2],
+          [x * 2, hb[0], (y + 1) * 2],
+        ], [uv[0], uv[1], uv[3], uv[2]]);
+      }
+
+      // Wall towards the next column
+      const right = surfaces[cell.tileRight];
+      if (cell.tileRight > -1 && right && x + 1 < width) {
+        const hb = heightsOf(cells[y * width + x + 1]);
+        const uv = uvsOf(right);
+        mesh.addQuad(right.textureIndex, [
+          [(x + 1) * 2, h[3], (y + 1) * 2],
+          [(x + 1) * 2, h[1], y * 2],
+          [(x + 1) * 2, hb[0], y * 2],
+          [(x + 1) * 2, hb[2], (y + 1) * 2],
+        ], [uv[0], uv[1], uv[3], uv[2]]);
+      }
+    }
+  }
+
+  return mesh.toArray();
+}
+
+/**
+ * Build the mesh of an RSM model, in model space (static pose: first keyframe)
+ * RSM1 models are centered on X/Z and rest on Y = 0, like in the client.
+ * @param {Object} rsm - Parsed RSM (see src/parsers/rsmParser.js)
+ * @returns {Array<Object>} - Primitives per model texture index
+ */
+function buildModelMesh(rsm) {
+  const globals = getGlobalMatrices(rsm);
+  const offset = translation(getModelOffset(rsm, globals));
+  const mesh = new MeshGroups();
+
+  for (const node of rsm.nodes) {
+    addNodeFaces(mesh, node, multiply(offset, multiply(globals.get(node), getMeshMatrix(node, rsm.version))));
+  }
+
+  return mesh.toArray();
+}
+
+/**
+ * Build the mesh of a single RSM node, in node space
+ * @param {Object} node - RSM node
+ * @param {number} version - RSM version
+ * @returns {Array<Object>} - Primitives per model texture index
+ */
+function buildNodeMesh(node, version) {
+  const mesh = new MeshGroups();
+  addNodeFaces(mesh, node, getMeshMatrix(node, version));
+  return mesh.toArray();
+}
+
+/**
+ * Parent of an RSM node (null for root nodes)
+ * @param {Object} rsm - Parsed RSM
+ * @param {Object} node - RSM node
+ * @returns {Object|null}
+ */
+function getParentNode(rsm, node) {
+  if (!node.parentName || node.parentName === node.name) return null;
+  return rsm.nodes.find(other => other.name === node.parentName) || null;
+}
+
+/**
+ * Static node transform (first keyframe) as translation, rotation (quaternion) and scale
+ * RSM1: position, axis/angle rotation and scale (root nodes ignore their position).
+ * RSM2: offset and rotation keyframes.
+ * @param {Object} node - RSM node
+ * @param {number} version - RSM version
+ * @param {boolean} isRoot - Node has no parent
+ * @returns {Object} - { translation, rotation: [x, y, z, w], scale }
+ */
+function getNodeTransform(node, version, isRoot) {
+  const rotation = node.rotationKeyframes.length > 0
+    ? normalizeQuaternion(node.rotationKeyframes[0].quaternion)
+    : axisAngleToQuaternion(node.rotationAxis, node.rotationAngle);
+
+  if (version >= 2.2) {
+    return { translation: [...node.offset], rotation, scale: [1, 1, 1] };
+  }
+  return { translation: isRoot ? [0, 0, 0] : [...node.position], rotation, scale: [...node.scale] };
+}
+
+/**
+ * Offset that puts an RSM1 model on the ground: centered on X/Z, bottom at Y = 0 (Y points down)
+ * RSM2 models are already placed, the offset is zero.
+ * @param {Object} rsm - Parsed RSM
+ * @param {Map} [globals] - Node → model space matrix (see getGlobalMatrices)
+ * @returns {Array<number>} - [x, y, z]
+ */
+function getModelOffset(rsm, globals = getGlobalMatrices(rsm)) {
+  if (rsm.version >= 2.2) return [0, 0, 0];
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const node of rsm.nodes) {
+    const matrix = multiply(globals.get(node), getMeshMatrix(node, rsm.version));
+    for (const face of node.faces) {
+      for (const index of face.vertices) {
+        if (!node.vertices[index]) continue;
+        const point = transformPoint(matrix, node.vertices[index]);
+        for (let i = 0; i < 3; i++) {
+          min[i] = Math.min(min[i], point[i]);
+          max[i] = Math.max(max[i], point[i]);
+        }
+      }
+    }
+  }
+
+  if (min[0] === Infinity) return [0, 0, 0];
+  return [-(min[0] + max[0]) / 2, -max[1], -(min[2] + max[2]) / 2];
+}
+
+/**
+ * Node transforms relative to the model (parent × local)
+ * @returns {Map} - Node → 4x4 matrix
+ */
+function getGlobalMatrices(rsm) {
+  const globals = new Map();
+
+  const getGlobal = (node, depth = 0) => {
+    if (globals.has(node)) return globals.get(node);
+
+    const parent = getParentNode(rsm, node);
+    const { translation: t, rotation, scale } = getNodeTransform(node, rsm.version, !parent);
+    const local = multiply(multiply(translation(t), fromQuaternion(rotation)), scaling(scale));
+    const global = parent && depth < 64 ? multiply(getGlobal(parent, depth + 1), local) : local;
+    globals.set(node, global);
+    return global;
+  };
+
+  rsm.nodes.forEach(node => getGlobal(node));
+  return globals;
+}
+
+/**
+ * Add the faces of a node, transformed by a matrix
+ */
+function addNodeFaces(mesh, node, matrix) {
+  const vertices = node.vertices.map(vertex => transformPoint(matrix, vertex));
+
+  for (const face of node.faces) {
+    const points = face.vertices.map(index => vertices[index]);
+    if (points.some(point => !point)) continue;
+
+    const uvs = face.tvertices.map(index => {
+      const tvertex = node.tvertices[index];
+      return tvertex ? [tvertex.u, tvertex.v] : [0, 0];
+    });
+    const texture = node.textures[face.texture];
+    mesh.addTriangle(texture === undefined ? -1 : texture, points, uvs);
+  }
+}
+
+/**
+ * Mesh transform inside its node: offset + 3x3 matrix (RSM1), 3x3 matrix only (RSM2)
+ */
+function getMeshMatrix(node, version) {
+  const m = node.matrix;
+  const matrix3 = [
+    m[0], m[1], m[2], 0,
+    m[3], m[4], m[5], 0,
+    m[6], m[7], m[8], 0,
+    0, 0, 0, 1,
+  ];
+  return version >= 2.2 ? matrix3 : multiply(translation(node.offset), matrix3);
+}
+
+/**
+ * Placement of a model instance (RSW model object) on the ground
+ * @param {Object} model - RSW model ({ position, rotation, scale })
+ * @param {number} width - GND width (cells)
+ * @param {number} height - GND height (cells)
+ * @returns {Array<number>} - 4x4 matrix
+ */
+function getInstanceMatrix(model, width, height) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  let matrix = translation([model.position[0] / 5 + width, model.position[1] / 5, model.position[2] / 5 + height]);
+  matrix = multiply(matrix, fromAxisAngle([0, 0, 1], toRadians(model.rotation[2])));
+  matrix = multiply(matrix, fromAxisAngle([1, 0, 0], toRadians(model.rotation[0])));
+  matrix = multiply(matrix, fromAxisAngle([0, 1, 0], toRadians(model.rotation[1])));
+  return multiply(matrix, scaling(model.scale.map(value => value / 5)));
+}
+
+// 4x4 matrix helpers (column-major)
+
+function identity() {
+  return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+}
+
+function translation([x, y, z]) {
+  return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, y, z, 1];
+}
+
+function scaling([x, y, z]) {
+  return [x, 0, 0, 0, 0, y, 0, 0, 0, 0, z, 0, 0, 0, 0, 1];
+}
+
+function fromAxisAngle(axis, angle) {
+  const length = Math.hypot(axis[0], axis[1], axis[2]);
+  if (!length || !angle) return identity();
+
+  const [x, y, z] = axis.map(value => value / length);
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const t = 1 - c;
+
+  return [
+    x * x * t + c, y * x * t + z * s, z * x * t - y * s, 0,
+    x * y * t - z * s, y * y * t + c, z * y * t + x * s, 0,
+    x * z * t + y * s, y * z * t - x * s, z * z * t + c, 0,
+    0, 0, 0, 1,
+  ];
+}
+
+function axisAngleToQuaternion(axis, angle) {
+  const length = Math.hypot(axis[0], axis[1], axis[2]);
+  if (!length || !angle) return [0, 0, 0, 1];
+
+  const s = Math.sin(angle / 2) / length;
+  return [axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(angle / 2)];
+}
+
+function normalizeQuaternion(q) {
+  const length = Math.hypot(q[0], q[1], q[2], q[3]);
+  return length ? q.map(value => value / length) : [0, 0, 0, 1];
+}
+
+function fromQuaternion([x, y, z, w]) {
+  return [
+    1 - 2 * (y * y + z * z), 2 * (x * y + z * w), 2 * (x * z - y * w), 0,
+    2 * (x * y - z * w), 1 - 2 * (x * x + z * z), 2 * (y * z + x * w), 0,
+    2 * (x * z + y * w), 2 * (y * z - x * w), 1 - 2 * (x * x + y * y), 0,
+    0, 0, 0, 1,
+  ];
+}
+
+function multiply(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      out[col * 4 + row] =
+        a[row] * b[col * 4] +
+        a[4 + row] * b[col * 4 + 1] +
+        a[8 + row] * b[col * 4 + 2] +
+        a[12 + row] * b[col * 4 + 3];
+    }
+  }
+  return out;
+}
+
+function transformPoint(m, [x, y, z]) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14],
+  ];
+}
+
+module.exports = {
+  buildGroundMesh,
+  buildModelMesh,
+  buildNodeMesh,
+  getParentNode,
+  getNodeTransform,
+  getModelOffset,
+  getInstanceMatrix,
+  normalizeQuaternion,
+};
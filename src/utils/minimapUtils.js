@@ -0,0 +1,91 @@
+const { getCellFlags, CELL_FLAGS } = require('../parsers/gatParser');
+const { encodePng } = require('./pngUtils');
+const { encodeBmp } = require('./bmpUtils');
+
+/**
+ * Minimap rendering from GAT cells (for maps shipped without their minimap BMP)
+ * Walkable ground is shaded by altitude, water is blue, cliffs are dark, blocked cells are transparent
+ * (magenta in BMPs, the client's color key).
+ */
+
+// Longest side of the generated image (client minimaps are 512x512)
+const MINIMAP_SIZE = 512;
+
+const COLORS = {
+  ground: [214, 206, 181],
+  water: [74, 118, 186],
+  cliff: [96, 86, 74],
+};
+
+/**
+ * Render a minimap
+ * @param {Object} gat - Parsed GAT (see src/parsers/gatParser.js)
+ * @param {Object} [options]
+ * @param {number} [options.size=512] - Longest side of the image, in pixels
+ * @param {string} [options.format='png'] - 'png' or 'bmp' (like the client's minimaps)
+ * @returns {Buffer} - PNG or BMP content (north up)
+ */
+function renderMinimap(gat, { size = MINIMAP_SIZE, format = 'png' } = {}) {
+  const { width, height, cells } = gat;
+
+  // Cells are resampled (nearest neighbour) so the longest side is exactly `size`
+  const scale = size / Math.max(width, height);
+  const imageWidth = Math.max(1, Math.round(width * scale));
+  const imageHeight = Math.max(1, Math.round(height * scale));
+
+  // Altitude range of walkable cells (GAT heights grow downwards)
+  const heights = cells.map(cell => (cell.heights[0] + cell.heights[1] + cell.heights[2] + cell.heights[3]) / 4);
+  let min = Infinity;
+  let max = -Infinity;
+  cells.forEach((cell, i) => {
+    if (getCellFlags(cell.type) & CELL_FLAGS.WALKABLE) {
+      min = Math.min(min, heights[i]);
+      max = Math.max(max, heights[i]);
+    }
+  });
+  const range = max > min ? max - min : 1;
+
+  // Color of each cell (null for blocked cells)
+  const colors = cells.map((cell, i) => {
+    const flags = getCellFlags(cell.type);
+
+    if (flags & CELL_FLAGS.WATER) {
+      return COLORS.water;
+    }
+    if (flags & CELL_FLAGS.WALKABLE) {
+      // Higher ground is lighter
+      const shade = 0.75 + 0.25 * ((max - heights[i]) / range);
+      return COLORS.ground.map(channel => Math.min(255, Math.round(channel * shade)));
+    }
+    if (flags & CELL_FLAGS.CLIFF) {
+      return COLORS.cliff;
+    }
+    return null;
+  });
+
+  const rgba = Buffer.alloc(imageWidth * imageHeight * 4);
+
+  for (let py = 0; py < imageHeight; py++) {
+    // GAT rows start from the south, images from the top
+    const y = height - 1 - Math.min(height - 1, Math.floor(py / scale));
+
+    for (let px = 0; px < imageWidth; px++) {
+      const x = Math.min(width - 1, Math.floor(px / scale));
+      const color = colors[y * width + x];
+      if (!color) continue;
+
+      const o = (py * imageWidth + px) * 4;
+      rgba[o] = color[0];
+      rgba[o + 1] = color[1];
+      rgba[o + 2] = color[2];
+      rgba[o + 3] = 255;
+    }
+  }
+
+  return format === 'bmp' ? encodeBmp(imageWidth, imageHeight, rgba) : encodePng(imageWidth, imageHeight, rgba);
+}
+
+module.exports = {
+  MINIMAP_SIZE,
+  renderMinimap,
+};
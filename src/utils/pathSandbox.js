@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const configs = require('../config/configs');
+
+/**
+ * Sandboxed resolution of request paths to local files
+ * Only files under the configured roots (data/, BGM/, System/, AI/), optionally
+ * overlaid from other directories (resources/), with an allowed extension are served.
+ */
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+const LOCAL_ROOTS = configs.CLIENT_LOCAL_ROOTS || ['data', 'BGM', 'System', 'AI'];
+const OVERLAY_DIRS = (configs.CLIENT_LOCAL_OVERLAYS || []).map(dir => path.resolve(PROJECT_ROOT, dir));
+const ALLOWED_EXTENSIONS = new Set((configs.CLIENT_LOCAL_EXTENSIONS || []).map(ext => ext.toLowerCase()));
+
+// Resolved real paths of the root directories (symlinked roots are allowed)
+const realRootCache = new Map();
+
+/**
+ * Check the raw (still URL-encoded) request path
+ * Encoded separators and null bytes are never legitimate in client file paths
+ * @param {string} rawPath - Raw request path (req.path)
+ * @returns {boolean}
+ */
+function hasEncodedSeparators(rawPath) {
+  return /%(2f|5c|00)/i.test(rawPath) || /%25(2f|5c|00)/i.test(rawPath);
+}
+
+/**
+ * Normalize a decoded request path
+ * @param {string} requestPath - Decoded request path
+ * @returns {string|null} - Relative path with forward slashes, or null if unsafe
+ */
+function normalizeRequestPath(requestPath) {
+  if (typeof requestPath !== 'string' || requestPath.length === 0) return null;
+
+  // Null bytes and (double) encoded separators
+  if (requestPath.includes('\0') || hasEncodedSeparators(requestPath)) return null;
+
+  const normalized = requestPath.replace(/\\/g, '/').replace(/^\/+/, '');
+
+  // Absolute paths (drive letters, UNC)
+  if (/^[a-zA-Z]:/.test(normalized) || path.isAbsolute(normalized)) return null;
+
+  const segments = normalized.split('/');
+  if (segments.some(segment => segment === '..' || segment === '.')) return null;
+
+  return normalized;
+}
+
+/**
+ * Check if a path is inside a directory
+ */
+function isInside(filePath, dir) {
+  const relative = path.relative(dir, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function getRealRoot(rootDir) {
+  if (!realRootCache.has(rootDir)) {
+    try {
+      realRootCache.set(rootDir, fs.realpathSync(rootDir));
+    } catch (e) {
+      return null;
+    }
+  }
+  return realRootCache.get(rootDir);
+}
+
+/**
+ * Map a request path to its local root and the path inside it
+ * The root segment is matched case-insensitively ("bgm/01.mp3" → BGM/01.mp3)
+ * @param {string} requestPath - Decoded request path
+ * @returns {Object|null} - { root, rest } or null
+ */
+function splitRoot(requestPath) {
+  const normalized = normalizeRequestPath(requestPath);
+  if (!normalized) return null;
+
+  const slash = normalized.indexOf('/');
+  if (slash <= 0) return null;
+
+  const first = normalized.slice(0, slash).toLowerCase();
+  const root = LOCAL_ROOTS.find(dir => dir.toLowerCase() === first);
+  if (!root) return null;
+
+  return { root, rest: normalized.slice(slash + 1) };
+}
+
+/**
+ * Check if a request path is allowed to be read from (or extracted to) disk
+ * @param {string} requestPath - Decoded request path
+ * @returns {boolean}
+ */
+function isAllowedLocalPath(requestPath) {
+  const parts = splitRoot(requestPath);
+  if (!parts || !parts.rest) return false;
+
+  const ext = path.extname(parts.rest).toLowerCase();
+  return ALLOWED_EXTENSIONS.size === 0 || ALLOWED_EXTENSIONS.has(ext);
+}
+
+/**
+ * Resolve a request path to an existing local file inside the sandbox
+ * The project directories are checked first, then the overlay directories
+ * @param {string} requestPath - Decoded request path
+ * @returns {string|null} - Absolute path of the file, or null
+ */
+function resolveLocalPath(requestPath) {
+  if (!isAllowedLocalPath(requestPath)) return null;
+
+  const { root, rest } = splitRoot(requestPath);
+
+  for (const base of [PROJECT_ROOT, ...OVERLAY_DIRS]) {
+    const rootDir = path.join(base, root);
+    const candidate = path.join(rootDir, rest);
+    if (!isInside(candidate, rootDir)) continue;
+
+    let stat;
+    try {
+      stat = fs.statSync(candidate);
+    } catch (e) {
+      continue;
+    }
+    if (!stat.isFile()) continue;
+
+    // Symlinks must not lead outside the root
+    const realRoot = getRealRoot(rootDir);
+    let realCandidate;
+    try {
+      realCandidate = fs.realpathSync(candidate);
+    } catch (e) {
+      continue;
+    }
+    if (realRoot && isInside(realCandidate, realRoot)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the path a GRF file is auto-extracted to
+ * @param {string} requestPath - Decoded request path
+ * @returns {string|null} - Absolute path inside the project root directory, or null
+ */
+function getExtractPath(requestPath) {
+  if (!isAllowedLocalPath(requestPath)) return null;
+
+  const { root, rest } = splitRoot(requestPath);
+  const rootDir = path.join(PROJECT_ROOT, root);
+  const target = path.join(rootDir, rest);
+
+  return isInside(target, rootDir) ? target : null;
+}
+
+module.exports = {
+  hasEncodedSeparators,
+  normalizeRequestPath,
+  isAllowedLocalPath,
+  resolveLocalPath,
+  getExtractPath,
+};
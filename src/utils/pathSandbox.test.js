@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const configs = require('../config/configs');
+
+// Fixtures live in a temporary root, searched as two overlays (in this order)
+const TEMP_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-test-'));
+const CLIENT_DIR = path.join(TEMP_ROOT, 'client');
+const OVERLAY_DIR = path.join(TEMP_ROOT, 'overlay');
+
+configs.CLIENT_LOCAL_OVERLAYS = [CLIENT_DIR, OVERLAY_DIR];
+configs.CLIENT_AUTOEXTRACT = false;
+
+// No GRFs: the index stays empty and missing files aren't logged to logs/
+const Client = require('../controllers/clientController');
+Client.init = async () => {};
+Client.logMissingFile = () => {};
+
+const { normalizeRequestPath, resolveLocalPath } = require('./pathSandbox');
+
+// Files created for the tests (relative to the temporary root)
+const FILES = {
+  'client/data/sample.txt': 'data',
+  'client/data/sample.exe': 'not allowed',
+  'client/data/both.txt': 'client',
+  'client/BGM/sample.mp3': 'bgm',
+  'client/System/sample.lua': 'system',
+  'client/secret.txt': 'outside the roots',
+  'overlay/data/both.txt': 'overlay',
+  'overlay/data/overlay.txt': 'overlay only',
+};
+
+// Escapes that must never reach a file outside the sandbox
+const ESCAPES = [
+  '/../.env',
+  '/%2e%2e/package.json',
+  '/data%2f..%2f.env',
+  '/data\\..\\.env',
+  '/data/sample.txt%00.png',
+  '/data/sample.exe',
+  '/secret.txt',
+  '/data/../secret.txt',
+];
+
+let server;
+
+function get(urlPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port: server.address().port, path: urlPath }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+  });
+}
+
+before(async () => {
+  for (const [file, content] of Object.entries(FILES)) {
+    fs.mkdirSync(path.dirname(path.join(TEMP_ROOT, file)), { recursive: true });
+    fs.writeFileSync(path.join(TEMP_ROOT, file), content);
+  }
+
+  const app = express();
+  app.use('/', require('../routes'));
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+});
+
+after(() => {
+  try {
+    server?.close();
+  } finally {
+    fs.rmSync(TEMP_ROOT, { recursive: true, force: true });
+  }
+});
+
+test('normalizeRequestPath rejects traversal, absolute paths and null bytes', () => {
+  for (const unsafe of ['../.env', 'data/../.env', 'data\\..\\.env', './data/a.spr', 'C:/Windows/win.ini', 'data/a.spr\0.png', 'data%2f..%2f.env', '']) {
+    assert.equal(normalizeRequestPath(unsafe), null, unsafe);
+  }
+  assert.equal(normalizeRequestPath('data\\sprite\\a.spr'), 'data/sprite/a.spr');
+  assert.equal(normalizeRequestPath('/data/a.spr'), 'data/a.spr');
+});
+
+test('resolveLocalPath only resolves allowed roots and extensions', () => {
+  for (const unsafe of ['../.env', '.env', '/etc/passwd', 'package.json', 'secret.txt', 'data/sample.exe', 'data/../secret.txt']) {
+    assert.equal(resolveLocalPath(unsafe), null, unsafe);
+  }
+
+  assert.equal(resolveLocalPath('data/sample.txt'), path.join(CLIENT_DIR, 'data', 'sample.txt'));
+  assert.equal(resolveLocalPath('bgm/sample.mp3'), path.join(CLIENT_DIR, 'BGM', 'sample.mp3'));
+  assert.equal(resolveLocalPath('data/overlay.txt'), path.join(OVERLAY_DIR, 'data', 'overlay.txt'));
+});
+
+test('overlays are searched in order', () => {
+  assert.equal(resolveLocalPath('data/both.txt'), path.join(CLIENT_DIR, 'data', 'both.txt'));
+});
+
+test('wildcard route returns 404 for escapes', async () => {
+  for (const escape of ESCAPES) {
+    const { status } = await get(escape);
+    assert.equal(status, 404, escape);
+  }
+});
+
+test('wildcard route serves files of the allowed roots', async () => {
+  const served = {
+    '/data/sample.txt': 'data',
+    '/BGM/sample.mp3': 'bgm',
+    '/System/sample.lua': 'system',
+    '/data/both.txt': 'client',
+    '/data/overlay.txt': 'overlay only',
+  };
+
+  for (const [urlPath, content] of Object.entries(served)) {
+    const { status, body } = await get(urlPath);
+    assert.equal(status, 200, urlPath);
+    assert.equal(body.toString(), content, urlPath);
+  }
+});
+
+test('favicon.ico is served from the project root', async () => {
+  const { status, body } = await get('/favicon.ico');
+  assert.equal(status, 200);
+  assert.deepEqual(body, fs.readFileSync(path.join(__dirname, '..', '..', 'favicon.ico')));
+});
@@ -0,0 +1,123 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PNG encoder (8-bit RGBA, no interlacing), with APNG animation support
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC32 lookup table (polynomial 0xEDB88320)
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+
+  return Buffer.concat([length, body, crc]);
+}
+
+function createHeader(width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type: RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+  return createChunk('IHDR', header);
+}
+
+/**
+ * Compressed image data: each scanline is prefixed with its filter type (0 = none)
+ */
+function compress(width, height, rgba) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  return zlib.deflateSync(raw);
+}
+
+/**
+ * Encode RGBA pixels as PNG
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Buffer} rgba - Pixel data (RGBA, top-down, width * height * 4 bytes)
+ * @returns {Buffer} - PNG file content
+ */
+function encodePng(width, height, rgba) {
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createHeader(width, height),
+    createChunk('IDAT', compress(width, height, rgba)),
+    createChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Encode full-size RGBA frames as an animated PNG (APNG)
+ * The first frame is also the still image shown by decoders without APNG support.
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<Object>} frames - [{ rgba, delay }] (delay in ms)
+ * @param {number} [loops=0] - Number of plays, 0 = infinite
+ * @returns {Buffer} - PNG file content
+ */
+function encodeApng(width, height, frames, loops = 0) {
+  const control = Buffer.alloc(8);
+  control.writeUInt32BE(frames.length, 0);
+  control.writeUInt32BE(loops, 4);
+
+  const chunks = [PNG_SIGNATURE, createHeader(width, height), createChunk('acTL', control)];
+  let sequence = 0;
+
+  frames.forEach((frame, i) => {
+    const frameControl = Buffer.alloc(26);
+    frameControl.writeUInt32BE(sequence++, 0);
+    frameControl.writeUInt32BE(width, 4);
+    frameControl.writeUInt32BE(height, 8);
+    // x/y offsets stay 0: every frame covers the whole image
+    frameControl.writeUInt16BE(Math.min(65535, Math.max(0, Math.round(frame.delay))), 20);
+    frameControl.writeUInt16BE(1000, 22);
+    frameControl[24] = 0; // dispose: none
+    frameControl[25] = 0; // blend: source (replace)
+    chunks.push(createChunk('fcTL', frameControl));
+
+    const data = compress(width, height, frame.rgba);
+    if (i === 0) {
+      chunks.push(createChunk('IDAT', data));
+    } else {
+      const sequenceNumber = Buffer.alloc(4);
+      sequenceNumber.writeUInt32BE(sequence++, 0);
+      chunks.push(createChunk('fdAT', Buffer.concat([sequenceNumber, data])));
+    }
+  });
+
+  chunks.push(createChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+}
+
+module.exports = { encodePng, encodeApng, crc32 };
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+
+// Requests asking for more ranges than this are served in full
+const MAX_RANGES = 50;
+
+/**
+ * Check the If-Range precondition
+ * Ranges are only honored when the validator still matches the current representation
+ * @param {Object} req - Express request
+ * @param {string|null} etag - Current ETag header value (quoted)
+ * @param {string|null} lastModified - Current Last-Modified header value
+ * @returns {boolean} - True if the Range header can be applied
+ */
+function isRangeFresh(req, etag, lastModified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  // Entity tag form (strong comparison only)
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    if (!etag || etag.startsWith('W/') || ifRange.startsWith('W/')) return false;
+    return ifRange === etag;
+  }
+
+  // HTTP-date form (exact match with Last-Modified, RFC 9110 §13.1.5)
+  if (!lastModified) return false;
+  const since = Date.parse(ifRange);
+  const modified = Date.parse(lastModified);
+  return !isNaN(since) && !isNaN(modified) && modified === since;
+}
+
+/**
+ * Resolve the byte ranges requested by the client
+ * @param {Object} req - Express request
+ * @param {number} size - Full content length
+ * @param {string|null} etag - Current ETag header value (quoted)
+ * @param {string|null} lastModified - Current Last-Modified header value
+ * @returns {Array|number|null} - Ranges to send, -1 if unsatisfiable, null to send full content
+ */
+function parseRangeRequest(req, size, etag, lastModified) {
+  if (!req.headers.range) return null;
+  if (!isRangeFresh(req, etag, lastModified)) return null;
+
+  const ranges = req.range(size, { combine: true });
+
+  // Malformed or non-byte ranges are ignored (full response)
+  if (ranges === undefined || ranges === -2) return null;
+  if (ranges === -1) return -1;
+  if (ranges.type !== 'bytes' || ranges.length > MAX_RANGES) return null;
+
+  return ranges;
+}
+
+/**
+ * Send a 416 Range Not Satisfiable response
+ * @param {Object} res - Express response
+ * @param {number} size - Full content length
+ */
+function sendRangeNotSatisfiable(res, size) {
+  res.set('Content-Range', `bytes */${size}`);
+  return res.status(416).end();
+}
+
+/**
+ * Send a 206 Partial Content response for one or more ranges
+ * Multiple ranges are sent as multipart/byteranges
+ * @param {Object} res - Express response
+ * @param {Buffer} content - Full file content
+ * @param {Array} ranges - Ranges returned by parseRangeRequest()
+ */
+function sendRanges(res, content, ranges) {
+  const size = content.length;
+  res.status(206);
+
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+    return res.send(content.subarray(start, end + 1));
+  }
+
+  const contentType = res.get('Content-Type') || 'application/octet-stream';
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const parts = [];
+
+  for (const { start, end } of ranges) {
+    parts.push(Buffer.from(
+      `\r\n--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+    ));
+    parts.push(content.subarray(start, end + 1));
+  }
+  parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+
+  res.set('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  return res.send(Buffer.concat(parts));
+}
+
+/**
+ * Send a 206 Partial Content response from streams
+ * @param {Object} res - Express response
+ * @param {number} size - Full content length
+ * @param {Array} ranges - Ranges returned by parseRangeRequest()
+ * @param {Function} openStream - ({ start, end }) => stream.Readable, or null if the file is gone
+ * @param {Function} [done] - Called with an error (if any) once the response ends
+ */
+function sendStreamRanges(res, size, ranges, openStream, done = () => {}) {
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+
+    // Opened before the headers, so a file gone since it was resolved is still a 404
+    const stream = res.req.method === 'HEAD' ? null : openStream(ranges[0]);
+    if (!stream && res.req.method !== 'HEAD') {
+      res.set('Cache-Control', 'no-store');
+      res.status(404).send('File not found');
+      return done(new Error('File not found'));
+    }
+
+    res.status(206);
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.set('Content-Length', String(end - start + 1));
+    if (!stream) {
+      res.end();
+      return done();
+    }
+    return pipeline(stream, res, done);
+  }
+
+  res.status(206);
+
+  const contentType = res.get('Content-Type') || 'application/octet-stream';
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const headers = ranges.map(({ start, end }) => Buffer.from(
+    `\r\n--${boundary}\r\n` +
+    `Content-Type: ${contentType}\r\n` +
+    `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  ));
+  const trailer = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  const length = ranges.reduce((total, { start, end }, i) => total + headers[i].length + (end - start + 1), trailer.length);
+  res.set('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.set('Content-Length', String(length));
+
+  if (res.req.method === 'HEAD') {
+    res.end();
+    return done();
+  }
+
+  // Write each part in turn, keeping the response open between them
+  // The part being sent is destroyed if the client goes away
+  let i = 0;
+  let current = null;
+  let finished = false;
+
+  const finish = (error) => {
+    if (finished) return;
+    finished = true;
+    current = null;
+    done(error);
+  };
+
+  res.on('close', () => {
+    if (!current) return;
+    current.destroy();
+    const error = new Error('Premature close');
+    error.code = 'ERR_STREAM_PREMATURE_CLOSE';
+    finish(error);
+  });
+
+  const next = (error) => {
+    if (finished) return;
+    if (error) {
+      res.destroy(error);
+      return finish(error);
+    }
+    if (i === ranges.length) {
+      res.end(trailer);
+      return finish();
+    }
+
+    const range = ranges[i];
+    res.write(headers[i++]);
+
+    const stream = openStream(range);
+    if (!stream) {
+      return next(new Error('File not found'));
+    }
+
+    current = stream;
+    stream.on('error', next);
+    stream.on('end', () => {
+      current = null;
+      next();
+    });
+    stream.pipe(res, { end: false });
+  };
+  next();
+}
+
+module.exports = {
+  isRangeFresh,
+  parseRangeRequest,
+  sendRangeNotSatisfiable,
+  sendRanges,
+  sendStreamRanges,
+};
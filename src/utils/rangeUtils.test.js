@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Readable } = require('stream');
+const express = require('express');
+const { isRangeFresh, sendStreamRanges } = require('./rangeUtils');
+
+const SIZE = 1024 * 1024;
+
+let server;
+
+// Streams opened by the route and the result passed to done(), for the current test
+let opened = [];
+let finished = null;
+
+/**
+ * Endless source (stands in for a large GRF entry being inflated)
+ */
+function createEndlessStream() {
+  return new Readable({
+    read() {
+      setTimeout(() => this.push(Buffer.alloc(1024, 0x61)), 5);
+    },
+  });
+}
+
+function request(headers, onResponse, urlPath = '/file') {
+  return http.get({ host: '127.0.0.1', port: server.address().port, path: urlPath, headers }, onResponse);
+}
+
+before(async () => {
+  const app = express();
+  app.get('/file', (req, res) => {
+    const ranges = req.range(SIZE, { combine: true });
+    finished = new Promise(resolve => {
+      sendStreamRanges(res, SIZE, ranges, (range) => {
+        const stream = range.start === 0 ? Readable.from([Buffer.alloc(range.end + 1, 0x62)]) : createEndlessStream();
+        opened.push(stream);
+        return stream;
+      }, resolve);
+    });
+  });
+
+  app.get('/missing', (req, res) => {
+    finished = new Promise(resolve => {
+      sendStreamRanges(res, SIZE, req.range(SIZE, { combine: true }), () => null, resolve);
+    });
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+});
+
+after(() => {
+  server?.close();
+});
+
+test('multipart ranges destroy the current part when the client aborts', { timeout: 5000 }, async () => {
+  opened = [];
+
+  await new Promise(resolve => {
+    const req = request({ Range: 'bytes=0-9,100-200000' }, res => {
+      assert.equal(res.statusCode, 206);
+      res.once('data', () => {
+        req.destroy();
+        resolve();
+      });
+    });
+    req.on('error', () => {});
+  });
+
+  const error = await finished;
+  assert.equal(error.code, 'ERR_STREAM_PREMATURE_CLOSE');
+  assert.equal(opened.length, 2);
+  assert.equal(opened[1].destroyed, true);
+});
+
+test('a single range of a file gone since it was resolved is a 404', async () => {
+  const status = await new Promise((resolve, reject) => {
+    request({ Range: 'bytes=0-9' }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    }, '/missing').on('error', reject);
+  });
+
+  assert.equal(status, 404);
+  assert.equal((await finished).message, 'File not found');
+});
+
+test('If-Range dates must match Last-Modified exactly', () => {
+  const lastModified = 'Tue, 01 Sep 2026 10:00:00 GMT';
+  const ifRange = value => ({ headers: { 'if-range': value } });
+
+  assert.equal(isRangeFresh(ifRange(lastModified), null, lastModified), true);
+  assert.equal(isRangeFresh(ifRange('Wed, 02 Sep 2026 10:00:00 GMT'), null, lastModified), false);
+  assert.equal(isRangeFresh(ifRange('Mon, 31 Aug 2026 10:00:00 GMT'), null, lastModified), false);
+});
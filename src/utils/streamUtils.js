@@ -0,0 +1,39 @@
+const { Transform } = require('stream');
+
+/**
+ * Create a transform that only lets a byte range through
+ * Used to serve ranges of streams that can't be seeked (inflated GRF entries)
+ * The output ends as soon as the range is through: the source should then be destroyed
+ * @param {number} start - First byte to keep
+ * @param {number} end - Last byte to keep (inclusive)
+ * @returns {stream.Transform}
+ */
+function createSliceStream(start, end) {
+  let position = 0;
+  let ended = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const chunkStart = position;
+      position += chunk.length;
+
+      if (ended || position <= start) {
+        return callback();
+      }
+
+      const from = Math.max(start - chunkStart, 0);
+      const to = Math.min(end - chunkStart + 1, chunk.length);
+      this.push(chunk.subarray(from, to));
+
+      if (position > end) {
+        ended = true;
+        this.push(null);
+      }
+      callback();
+    },
+  });
+}
+
+module.exports = {
+  createSliceStream,
+};
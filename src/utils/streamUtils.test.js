@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { createSliceStream } = require('./streamUtils');
+
+test('createSliceStream keeps the bytes of the range across chunks', async () => {
+  const source = Readable.from([Buffer.from('abcd'), Buffer.from('efgh'), Buffer.from('ijkl')]);
+  const chunks = [];
+  for await (const chunk of source.pipe(createSliceStream(2, 9))) {
+    chunks.push(chunk);
+  }
+
+  assert.equal(Buffer.concat(chunks).toString(), 'cdefghij');
+});
+
+test('createSliceStream ends once the range is through', { timeout: 5000 }, async () => {
+  let read = 0;
+  const source = new Readable({
+    read() {
+      read++;
+      setImmediate(() => this.push(Buffer.alloc(16, 0x61)));
+    },
+  });
+
+  const chunks = [];
+  for await (const chunk of source.pipe(createSliceStream(0, 19))) {
+    chunks.push(chunk);
+  }
+  source.destroy();
+
+  assert.equal(Buffer.concat(chunks).length, 20);
+  assert.ok(read < 10);
+});
@@ -0,0 +1,16 @@
+const iconv = require('iconv-lite');
+
+/**
+ * Decode a client text file: UTF-8 when the content is valid UTF-8 (translated clients), CP949 otherwise
+ * @param {Buffer} buffer - File content
+ * @returns {string}
+ */
+function decodeText(buffer) {
+  const text = buffer.toString('utf8');
+  if (Buffer.from(text, 'utf8').equals(buffer)) {
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  }
+  return iconv.decode(buffer, 'cp949');
+}
+
+module.exports = { decodeText };
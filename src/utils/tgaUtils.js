@@ -0,0 +1,146 @@
+/**
+ * Pure JS TGA decoder
+ * Supports color-mapped, true-color and grayscale images (8/15/16/24/32-bit),
+ * uncompressed and RLE.
+ */
+
+/**
+ * Decode a TGA file to RGBA pixels
+ *
+ * @param {Buffer} buffer - TGA file content
+ * @returns {Object} - { width, height, data: Buffer (RGBA, top-down), hasAlpha }
+ */
+function decodeTga(buffer) {
+  if (!buffer || buffer.length < 18) {
+    throw new Error('Invalid TGA file');
+  }
+
+  const idLength = buffer[0];
+  const colorMapType = buffer[1];
+  const imageType = buffer[2];
+  const colorMapStart = buffer.readUInt16LE(3);
+  const colorMapLength = buffer.readUInt16LE(5);
+  const colorMapDepth = buffer[7];
+  const width = buffer.readUInt16LE(12);
+  const height = buffer.readUInt16LE(14);
+  const pixelDepth = buffer[16];
+  const descriptor = buffer[17];
+
+  const rle = imageType >= 9;
+  const baseType = rle ? imageType - 8 : imageType;
+  if (![1, 2, 3].includes(baseType)) {
+    throw new Error(`Unsupported TGA image type: ${imageType}`);
+  }
+  if (width === 0 || height === 0) {
+    throw new Error(`Invalid TGA dimensions: ${width}x${height}`);
+  }
+
+  let p = 18 + idLength;
+
+  // Color map
+  let colorMap = null;
+  if (colorMapType === 1) {
+    const entrySize = Math.ceil(colorMapDepth / 8);
+    colorMap = new Array(colorMapLength);
+    for (let i = 0; i < colorMapLength; i++) {
+      colorMap[i] = readColor(buffer, p + i * entrySize, colorMapDepth);
+    }
+    p += colorMapLength * entrySize;
+  }
+
+  const bytesPerPixel = Math.ceil(pixelDepth / 8);
+  const pixelCount = width * height;
+
+  // Read every pixel in file order (RLE packets or raw)
+  const pixels = new Array(pixelCount);
+  const readPixel = (offset) => {
+    if (offset + bytesPerPixel > buffer.length) {
+      throw new Error('Truncated TGA file');
+    }
+    if (baseType === 1) {
+      const index = bytesPerPixel === 1 ? buffer[offset] : buffer.readUInt16LE(offset);
+      return (colorMap && colorMap[index - colorMapStart]) || [0, 0, 0, 255];
+    }
+    if (baseType === 3) {
+      const gray = buffer[offset];
+      return [gray, gray, gray, pixelDepth === 16 ? buffer[offset + 1] : 255];
+    }
+    return readColor(buffer, offset, pixelDepth);
+  };
+
+  let i = 0;
+  while (i < pixelCount) {
+    if (!rle) {
+      pixels[i++] = readPixel(p);
+      p += bytesPerPixel;
+      continue;
+    }
+
+    if (p >= buffer.length) {
+      throw new Error('Truncated TGA file');
+    }
+    const header = buffer[p++];
+    const count = (header & 0x7f) + 1;
+
+    if (header & 0x80) {
+      const color = readPixel(p);
+      p += bytesPerPixel;
+      for (let j = 0; j < count && i < pixelCount; j++) pixels[i++] = color;
+    } else {
+      for (let j = 0; j < count && i < pixelCount; j++) {
+        pixels[i++] = readPixel(p);
+        p += bytesPerPixel;
+      }
+    }
+  }
+
+  // Origin: bit 4 = right-to-left, bit 5 = top-to-bottom
+  const rightToLeft = (descriptor & 0x10) !== 0;
+  const topDown = (descriptor & 0x20) !== 0;
+  const alphaBits = descriptor & 0x0f;
+
+  const data = Buffer.alloc(pixelCount * 4);
+  let hasAlpha = false;
+
+  for (let y = 0; y < height; y++) {
+    const outY = topDown ? y : height - 1 - y;
+    for (let x = 0; x < width; x++) {
+      const outX = rightToLeft ? width - 1 - x : x;
+      const color = pixels[y * width + x];
+      const o = (outY * width + outX) * 4;
+      data[o] = color[0];
+      data[o + 1] = color[1];
+      data[o + 2] = color[2];
+      data[o + 3] = alphaBits || pixelDepth === 32 || colorMapDepth === 32 ? color[3] : 255;
+      if (data[o + 3] !== 255) hasAlpha = true;
+    }
+  }
+
+  return { width, height, data, hasAlpha };
+}
+
+/**
+ * Read a BGR(A) color (15/16/24/32-bit)
+ */
+function readColor(buffer, offset, depth) {
+  if (depth === 15 || depth === 16) {
+    const value = buffer.readUInt16LE(offset);
+    const r = (value >> 10) & 0x1f;
+    const g = (value >> 5) & 0x1f;
+    const b = value & 0x1f;
+    const a = depth === 16 && !(value & 0x8000) ? 0 : 255;
+    return [(r << 3) | (r >> 2), (g << 3) | (g >> 2), (b << 3) | (b >> 2), a];
+  }
+  if (depth === 24) {
+    return [buffer[offset + 2], buffer[offset + 1], buffer[offset], 255];
+  }
+  if (depth === 32) {
+    return [buffer[offset + 2], buffer[offset + 1], buffer[offset], buffer[offset + 3]];
+  }
+  if (depth === 8) {
+    return [buffer[offset], buffer[offset], buffer[offset], 255];
+  }
+  throw new Error(`Unsupported TGA pixel depth: ${depth}`);
+}
+
+module.exports = { decodeTga };